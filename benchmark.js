@@ -0,0 +1,294 @@
+// Job Listings Benchmark
+//
+// Measures the incremental renderer on synthetic job feeds of 1k, 10k and 50k jobs.
+// Open benchmark.html from the same server as index.html (the page loads data.json
+// and the card templates of index.html from the same origin).
+//
+// Notes:
+// - Synthetic jobs are remixed from the fields of data.json with a seeded random
+//   generator, so every run works on the same dataset for a given size.
+// - "Card cache" times the renderer of script.js itself: calculateJobChanges and
+//   insertJobCards, reached on an instance of their own through
+//   createJobListingsTestModule, with cards from the page's templates.
+// - "Previous" times the algorithms the card cache replaced (Array.includes,
+//   findIndex and a querySelector scan per card), kept here as the baseline since
+//   script.js no longer has them. Both sides create the same cards.
+// - The baseline is quadratic, so it stops after BASELINE_TIME_CAP at any size
+//   and is reported as taking longer than the cap.
+
+const JobListingsBenchmark = (() => {
+  // Constants
+  const SOURCE_DATA_URL = "data.json"; // Jobs the synthetic datasets are remixed from
+  const TEMPLATES_URL = "index.html"; // Page whose templates the cards are created from
+  const DATASET_SIZES = [1000, 10000, 50000]; // Synthetic feed sizes
+  const BASELINE_TIME_CAP = 10000; // Longest a baseline run may take (ms)
+
+  // Function to create a seeded pseudo-random number generator (mulberry32)
+  const createRandom = (seed) => {
+    let state = seed;
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  // Function to pick a random item from an array
+  const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+  // Function to generate a synthetic dataset by remixing the fields of the source jobs
+  const generateJobs = (sourceJobs, count) => {
+    const random = createRandom(count);
+    const fieldValues = (field) => [
+      ...new Set(sourceJobs.map((job) => job[field])),
+    ];
+    const companies = fieldValues("company");
+    const roles = fieldValues("role");
+    const locations = fieldValues("location");
+    const types = fieldValues("type");
+    const experienceLevels = fieldValues("experience");
+    const technologies = [
+      ...new Set(sourceJobs.flatMap((job) => job.technologies)),
+    ];
+
+    return Array.from({ length: count }, (_, index) => {
+      const jobTechnologies = new Set();
+      const technologyCount = 1 + Math.floor(random() * 4);
+      while (jobTechnologies.size < technologyCount) {
+        jobTechnologies.add(pick(random, technologies));
+      }
+
+      return {
+        id: index + 1,
+        company: pick(random, companies),
+        role: pick(random, roles),
+        location: pick(random, locations),
+        type: pick(random, types),
+        technologies: [...jobTechnologies],
+        experience: pick(random, experienceLevels),
+        ctc: 3 + Math.floor(random() * 38),
+      };
+    });
+  };
+
+  // Function to time a callback, in milliseconds
+  const time = (callback) => {
+    const start = performance.now();
+    callback();
+    return performance.now() - start;
+  };
+
+  // Function to start the time cap of a baseline run
+  // Returns a check that throws once the run is over the cap.
+  const startBaselineTimer = () => {
+    const start = performance.now();
+    return () => {
+      if (performance.now() - start > BASELINE_TIME_CAP) {
+        throw new RangeError("Baseline over the time cap");
+      }
+    };
+  };
+
+  // Function to time a baseline run, null when it was stopped at the time cap
+  const timeBaseline = (callback) => {
+    try {
+      return time(() => callback(startBaselineTimer()));
+    } catch (error) {
+      if (error instanceof RangeError) return null;
+      throw error;
+    }
+  };
+
+  // Function to get the jobs a CTC slider tick keeps, for the diffing benchmarks
+  // The next result set shares most jobs with the current one, like a slider tick.
+  const getNextResults = (jobs) => jobs.filter((job) => job.ctc > 4);
+
+  // Function to diff two result sets the previous way (Array.includes, quadratic)
+  const legacyCalculateJobChanges = (currentJobIds, newJobs, checkTimeCap) => {
+    const newJobIds = newJobs.map((job) => job.id);
+    const jobsToRemove = currentJobIds.filter((id) => {
+      checkTimeCap();
+      return !newJobIds.includes(id);
+    });
+    const jobsToAdd = newJobs.filter((job) => {
+      checkTimeCap();
+      return !currentJobIds.includes(job.id);
+    });
+    return { jobsToRemove, jobsToAdd };
+  };
+
+  // Function to copy the card templates of the job listings page into this page
+  const loadCardTemplates = async () => {
+    const response = await fetch(TEMPLATES_URL);
+    const page = new DOMParser().parseFromString(
+      await response.text(),
+      "text/html"
+    );
+    page.querySelectorAll("template").forEach((template) => {
+      document.body.appendChild(document.importNode(template, true));
+    });
+  };
+
+  // Function to create an attached, hidden container for the insertion benchmarks
+  // The card cache only counts cards that are in the document.
+  const createCardContainer = () => {
+    const container = document.createElement("div");
+    container.hidden = true;
+    document.body.appendChild(container);
+    return container;
+  };
+
+  // Function to render every other job, then time inserting the rest the previous way
+  // (findIndex and a querySelector scan for the next rendered card, per card)
+  const legacyInsertCards = (renderer, jobs) => {
+    const container = createCardContainer();
+    jobs
+      .filter((job) => job.id % 2 === 0)
+      .forEach((job) => container.appendChild(renderer.createJobCard(job)));
+
+    const timing = timeBaseline((checkTimeCap) => {
+      jobs
+        .filter((job) => job.id % 2 === 1)
+        .forEach((job) => {
+          const jobCard = renderer.createJobCard(job);
+          const jobIndex = jobs.findIndex((j) => j.id === job.id);
+          let insertBeforeElement = null;
+          for (let i = jobIndex + 1; i < jobs.length; i++) {
+            checkTimeCap();
+            const nextCard = container.querySelector(
+              `.job-card[data-job-id="${jobs[i].id}"]:not(.animate-out)`
+            );
+            if (nextCard) {
+              insertBeforeElement = nextCard;
+              break;
+            }
+          }
+          container.insertBefore(jobCard, insertBeforeElement);
+        });
+    });
+
+    container.remove();
+    return timing;
+  };
+
+  // Function to render every other job, then time inserting the rest with the
+  // renderer of script.js (card cache lookups and one fragment per run of new cards)
+  const insertCards = (renderer, jobs) => {
+    const container = createCardContainer();
+    const renderedJobs = jobs.filter((job) => job.id % 2 === 0);
+    renderer.insertJobCards(container, renderedJobs, renderedJobs);
+
+    const timing = time(() =>
+      renderer.insertJobCards(
+        container,
+        jobs,
+        jobs.filter((job) => job.id % 2 === 1)
+      )
+    );
+
+    container.remove();
+    return timing;
+  };
+
+  // Function to format a timing for the results table, null when capped
+  const formatTiming = (timing) =>
+    timing === null
+      ? `> ${BASELINE_TIME_CAP.toLocaleString()} ms (capped)`
+      : `${timing.toFixed(1)} ms`;
+
+  // Function to add a row to the results table
+  const addResultRow = (size, benchmark, legacyTiming, currentTiming) => {
+    const row = document.createElement("tr");
+    const speedup =
+      legacyTiming === null
+        ? `> ${(BASELINE_TIME_CAP / Math.max(currentTiming, 0.1)).toFixed(1)}×`
+        : `${(legacyTiming / Math.max(currentTiming, 0.1)).toFixed(1)}×`;
+
+    [
+      size.toLocaleString(),
+      benchmark,
+      formatTiming(legacyTiming),
+      formatTiming(currentTiming),
+      speedup,
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    document.getElementById("benchmark-results").appendChild(row);
+  };
+
+  // Function to show the benchmark progress
+  const setStatus = (message) => {
+    document.getElementById("benchmark-status").textContent = message;
+  };
+
+  // Function to wait for the browser to paint, so progress messages show up
+  const nextFrame = () =>
+    new Promise((resolve) => requestAnimationFrame(() => setTimeout(resolve)));
+
+  // Function to run every benchmark on every dataset size
+  const runBenchmarks = async () => {
+    const runButton = document.getElementById("run-benchmark");
+    runButton.disabled = true;
+    document.getElementById("benchmark-results").innerHTML = "";
+
+    try {
+      const response = await fetch(SOURCE_DATA_URL);
+      const sourceJobs = await response.json();
+      if (!document.querySelector("template")) await loadCardTemplates();
+
+      for (const size of DATASET_SIZES) {
+        const jobs = generateJobs(sourceJobs, size);
+        const currentJobIds = jobs.map((job) => job.id);
+        const nextResults = getNextResults(jobs);
+        // A fresh instance per size, so the card cache starts empty
+        const renderer = createJobListingsTestModule();
+
+        setStatus(`Diffing ${size.toLocaleString()} jobs…`);
+        await nextFrame();
+        addResultRow(
+          size,
+          "Diffing",
+          timeBaseline((checkTimeCap) =>
+            legacyCalculateJobChanges(currentJobIds, nextResults, checkTimeCap)
+          ),
+          time(() => renderer.calculateJobChanges(currentJobIds, nextResults))
+        );
+
+        setStatus(`Inserting ${size.toLocaleString()} cards…`);
+        await nextFrame();
+        addResultRow(
+          size,
+          "Card insertion",
+          legacyInsertCards(renderer, jobs),
+          insertCards(renderer, jobs)
+        );
+      }
+
+      setStatus("Done.");
+    } catch (error) {
+      console.error("Benchmark failed:", error);
+      setStatus(`Benchmark failed: ${error.message}`);
+    } finally {
+      runButton.disabled = false;
+    }
+  };
+
+  // Function to initialize the benchmark page
+  const init = () => {
+    document
+      .getElementById("run-benchmark")
+      .addEventListener("click", runBenchmarks);
+  };
+
+  // Public API
+  return {
+    init,
+  };
+})();
+
+// Initialize the benchmark page
+JobListingsBenchmark.init();
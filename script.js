@@ -2,71 +2,590 @@
 
 // To ensure minimal and performant rendering, I've implemented the following:
 // - DOM cloning using the <template> tag.
-// - Lazy scroll rendering: jobs are loaded in batches of N (e.g. 9) instead of rendering all at once.
+// - Lazy scroll rendering: jobs are loaded in batches of N (e.g. 9) instead of rendering all at once, whenever a sentinel after the grid comes into view (IntersectionObserver, no scroll polling).
+// - Virtualised grid for large result sets: only the visible rows plus a small buffer are kept in the DOM, cards are recycled as the user scrolls.
 // - Incremental updates on filter changes: instead of destroying and recreating all DOM elements, only the nodes that should disappear are removed, the ones that should reappear are added in order, and the rest remain untouched.
+// - Precomputed filter indexes: built once per dataset, so a filter change is answered with set lookups and intersections instead of filtering every job again.
 // Further optimizations, such as simulating the virtual DOM behavior used by frontend frameworks, are possible but would be overkill for a test designed to take 2–3 hours as stated in the README.
 
-// All internal state is private via closures, so nothing leaks into the global scope.
-// Alternatively, we could use (() => { ... })().init(); below.
+// All internal state is private via closures, one closure per instance, so nothing leaks into the global scope.
+// Alternatively, we could use createJobListingsModule().init(); below.
 
 // Accessibility considerations include responsive design, keyboard navigation via Tab key, an easy-to-use UI, ARIA attributes, and more.
 
 // I could have kept the implementation simpler, but given that the CodeAid test did not meet the expectations, and that this is an open-ended problem with no specific instructions on which performance approach to go for, I went a bit further to demonstrate what I can deliver.
 
+// This script, loaded again as the filter worker
+// (document.currentScript is only set while the script first runs, not when instances are created later)
+const JOB_LISTINGS_SCRIPT_URL =
+  typeof document !== "undefined" && document.currentScript
+    ? document.currentScript.src
+    : "script.js";
+
 // Job Listings - Module Pattern
-const JobListingsModule = (() => {
+// Every call creates an independent instance: its public API and its test hooks.
+const createJobListingsInstance = () => {
   // Constants
   const DATA_URL =
-    "https://raw.githubusercontent.com/THammami01/dune-tech-coding-test/main/data.json";
+    "https://raw.githubusercontent.com/THammami01/dune-tech-coding-test/main/data.json"; // Default data source
+  const DATA_URL_QUERY_PARAM = "jobsUrl"; // Query parameter overriding the data source
+  const CACHE_KEY_PREFIX = "jobListings.cache:"; // localStorage key prefix for last-known-good data
+  const DEFAULT_DATA_SOURCE_OPTIONS = {
+    requestTimeout: 10000, // Abort a request after this long (ms)
+    maxRetries: 3, // Retries after the first failed attempt
+    retryDelay: 500, // Delay before the first retry, doubled on each retry (ms)
+  };
+  const IS_WORKER_CONTEXT = typeof document === "undefined"; // Whether this script runs as the filter worker
   const MIN_JOB_CARD_HEIGHT = 325;
-  const INITIAL_BATCH_SIZE =
-    Math.ceil(((window.innerHeight / MIN_JOB_CARD_HEIGHT) * 3) / 3) * 3; // Number of jobs to load in initial batch, ceiled to highest multiple of 3
+  const INITIAL_BATCH_SIZE = IS_WORKER_CONTEXT
+    ? 0 // The worker renders nothing
+    : Math.ceil(((window.innerHeight / MIN_JOB_CARD_HEIGHT) * 3) / 3) * 3; // Number of jobs to load in initial batch, ceiled to highest multiple of 3
   const INCREMENTAL_BATCH_SIZE = 9; // Number of jobs to load per batch
+  const LAZY_LOAD_MARGIN = "0px 0px 200px 0px"; // Load the next batch when the sentinel is within 200px of the viewport
+  const RADIO_GROUP_IDS = [
+    "technologies-match-mode",
+    "remote-mode",
+    "salary-period",
+    "results-view",
+  ]; // Radio groups, their radios are named after the group's (prefixed) id
 
   // Job Data State
   let allJobs = []; // All jobs loaded
   let filteredJobs = []; // Jobs filtered by current criteria
   let displayedJobs = []; // Jobs currently rendered on page
+  let jobsById = new Map(); // Job lookup by ID
+  let searchIndex = new Map(); // Lowercased searchable text by job ID
+  let filterIndexes = null; // Inverted indexes for the filters, built by buildFilterIndexes
 
   // Filter State
   let currentRoleFilter = ""; // Selected role filter value
   let currentTechnologiesFilter = []; // Selected technologies filter values
+  let currentTechnologiesMatchMode = "all"; // How selected technologies combine: "all", "any" or "none"
+  let currentTypeFilter = []; // Selected job type filter values
+  let currentLocationFilter = []; // Selected cities (remote locations excluded)
+  let currentRemoteFilter = "include"; // Remote jobs: "include", "only" or "exclude"
   let currentExperienceFilter = ""; // Selected experience filter value
+  let currentExperienceYearsFilter = null; // Candidate's years of experience, null when unset
   let currentCTCFilter = { min: 0, max: 0 }; // Selected CTC range filter values
+  let currentSearchFilter = ""; // Free-text search query
+  let currentShortlistedOnlyFilter = false; // Whether only shortlisted jobs are shown
+  let currentSort = ""; // Selected sort order, empty for data order
+
+  // Search State
+  const SEARCH_DEBOUNCE_DELAY = 250; // Delay before applying the typed search query (ms)
+  let searchDebounceTimeout = null; // Pending search update
+  let highlightedSearchFilter = ""; // Search query the rendered cards are highlighted for
+
+  // Filter Options State
+  let filterOptions = {
+    roles: [],
+    technologies: [],
+    types: [],
+    locations: [],
+    experienceLevels: [],
+    ctcRange: { min: 0, max: 0 },
+  }; // Values available in the filter controls, derived from the job data
+
+  // URL State
+  const FILTER_QUERY_PARAMS = [
+    "role",
+    "tech",
+    "techMode",
+    "type",
+    "location",
+    "remote",
+    "experience",
+    "years",
+    "ctcMin",
+    "ctcMax",
+    "q",
+    "shortlisted",
+    "sort",
+  ]; // Query parameters owned by the filter state, others are left untouched
+  const URL_UPDATE_DELAY = 300; // Delay before writing filter changes to the URL (ms)
+  let urlUpdateTimeout = null; // Pending URL update, coalesces rapid slider changes
+  let lastURLSearch = null; // Query string the filters were last written to or restored from
+
+  // Technologies match modes
+  const TECHNOLOGIES_MATCH_MODES = ["all", "any", "none"];
+
+  // Remote modes of the location filter
+  const REMOTE_FILTER_MODES = ["include", "only", "exclude"];
+
+  // Facet definitions, keyed like the filter chain entries they count for
+  // In "all" mode checking another technology can only narrow the current
+  // results, so its counts must not exclude the technologies filter itself.
+  // In "none" mode counts tell how many current results a technology would
+  // exclude, so a zero count doesn't mean zero results.
+  const facetDefinitions = [
+    { key: "role", getValues: (job) => [job.role], excludeOwnFilter: true },
+    {
+      key: "technologies",
+      getValues: (job) => job.technologies,
+      get excludeOwnFilter() {
+        return currentTechnologiesMatchMode === "any";
+      },
+      get disableEmpty() {
+        return currentTechnologiesMatchMode !== "none";
+      },
+    },
+    { key: "types", getValues: (job) => [job.type], excludeOwnFilter: true },
+    {
+      key: "location",
+      getValues: (job) =>
+        isRemoteLocation(job.location) ? [] : [job.location],
+      excludeOwnFilter: true,
+    },
+    {
+      key: "experience",
+      getValues: (job) => [job.experience],
+      excludeOwnFilter: true,
+    },
+    // Feeds the salary histogram, counted by whole LPA value
+    {
+      key: "ctc",
+      getValues: (job) => [Math.floor(job.ctc)],
+      excludeOwnFilter: true,
+    },
+  ];
+
+  // CTC Range State
+  const CTC_PAGE_STEP_RATIO = 0.1; // PageUp/PageDown move a slider by a tenth of the range
+  const CTC_HISTOGRAM_MAX_BARS = 24; // Wider ranges group several LPA values per bar
+  const CTC_SLIDER_STEPS = 100; // Approximate number of slider steps over the range, in any unit
+  let ctcHistogramCounts = new Map(); // Last CTC facet counts, to redraw the histogram in another unit
+
+  // Salary Display State
+  // Salaries are stored and filtered in LPA (lakhs of rupees per annum), the
+  // display unit only changes how they are shown and entered.
+  const SALARY_DISPLAY_KEY = "jobListings.salaryDisplay"; // localStorage key for the salary display preferences
+  const RUPEES_PER_LAKH = 100000;
+  const DEFAULT_EXCHANGE_RATES = { INR: 1, GBP: 107, USD: 84, EUR: 91 }; // Rupees per unit of each currency, overridable through init() options
+  const SALARY_UNITS = {
+    LPA: { locale: "en-IN" }, // Annual only, by definition
+    INR: { currency: "INR", locale: "en-IN" },
+    GBP: { currency: "GBP", locale: "en-GB" },
+    USD: { currency: "USD", locale: "en-US" },
+    EUR: { currency: "EUR", locale: "en-IE" },
+  }; // Display units and how their amounts are formatted
+  const SALARY_PERIODS = ["annual", "monthly"];
+  const SALARY_PERIOD_SUFFIXES = { annual: "/yr", monthly: "/mo" };
+  let exchangeRates = { ...DEFAULT_EXCHANGE_RATES }; // Resolved in init()
+  let salaryDisplay = { unit: "LPA", period: "annual" }; // Display preferences, persisted
+  let salaryFormatters = new Map(); // Intl.NumberFormat instances by display unit
+
+  // Active Filters State
+  let activeFilterChips = []; // Chips currently rendered in the active filters bar
+
+  // Experience State
+  const MAX_EXPERIENCE_YEARS = 50; // Upper bound for the years of experience input
+
+  // Sort State
+  const CARD_MOVE_DURATION = 300; // Duration of the card reorder animation (ms)
+  const experienceRangeCache = new Map(); // Parsed experience ranges by label
+
+  // Job Count State
+  const JOB_COUNT_ANNOUNCE_INTERVAL = 1000; // Minimum time between screen reader announcements (ms)
+  let jobCountAnnounceTimeout = null; // Pending throttled announcement
+  let pendingJobCountMessage = ""; // Latest message waiting to be announced
+
+  // Data Source State
+  let dataSourceOptions = { dataUrl: DATA_URL, ...DEFAULT_DATA_SOURCE_OPTIONS }; // Resolved in init()
+  let hasLoadedJobs = false; // Whether job data has been rendered at least once
+  let areEventListenersInitialized = false; // Guards against duplicate listeners on reload
+  let loadRequestId = 0; // Incremented by init() and destroy(), so outdated loads are dropped
+
+  // Instance State
+  const API_EVENT_TYPES = ["filterchange", "resultschange", "cardrender"]; // Events listeners can subscribe to
+  let idPrefix = ""; // Prefix of the instance's element ids and storage keys, set through init() options
+  let isURLSyncEnabled = true; // Whether filters and the detail view are kept in the URL
+  let areShortcutsEnabled = true; // Whether the global keyboard shortcuts are handled
+  let listenersController = null; // Aborts the instance's event listeners on destroy()
+  let apiEventListeners = new Map(); // Subscribed API event listeners, a set by event type
+  let lastFilterChangeQuery = null; // Serialized filters of the last filterchange event
+  let customFilters = new Map(); // Predicates added through registerFilter(), by name
+  let pendingFilters = null; // Filters set through the API before the data loaded
+
+  // Saved Searches State
+  const SAVED_SEARCHES_KEY = "jobListings.savedSearches"; // localStorage key for saved searches
+  let savedSearches = []; // Saved searches: { id, name, query, seenJobIds }
+  let savedSearchNewCounts = new Map(); // New matching jobs since last opened, by saved search ID
+
+  // Shortlist and Compare State
+  const SHORTLIST_KEY = "jobListings.shortlist"; // localStorage key for shortlisted job IDs
+  const MIN_COMPARE_JOBS = 2; // Minimum number of jobs needed to compare
+  const MAX_COMPARE_JOBS = 4; // Maximum number of jobs that can be compared
+  let shortlistedJobIds = new Set(); // Shortlisted job IDs, persisted
+  let compareJobIds = []; // Job IDs selected for comparison, in selection order
+
+  // Job Detail State
+  const JOB_ROUTE_PATTERN = /^#\/jobs\/(\d+)$/; // Hash route of the job detail view, e.g. #/jobs/12
+  const SIMILAR_JOBS_LIMIT = 4; // Maximum number of similar jobs listed in the detail view
+  const CLOSE_CTC_SCORE = 0.9; // CTC proximity score from which a similar job's CTC is given as a reason
+  let detailReturnFocusJobId = null; // Job ID of the card to refocus when the detail view closes
+  let hasPushedJobRoute = false; // Whether opening the detail view added a history entry
+
+  // Export State
+  const EXPORT_COLUMNS = [
+    "id",
+    "company",
+    "role",
+    "location",
+    "type",
+    "technologies",
+    "experience",
+    "ctc",
+  ]; // CSV columns, in order
+  const MAX_EXPORT_FILENAME_LENGTH = 120; // Keeps file names portable across systems
+
+  // Filter Worker State
+  let filterWorker = null; // Worker answering filter queries, when worker mode is enabled
+  let workerRequests = new Map(); // Pending worker requests: { resolve, reject } by request ID
+  let lastWorkerRequestId = 0; // ID of the last request sent to the worker
+  let latestResultsRequestId = null; // Results query whose response is still awaited
+  let pendingWorkerQuery = null; // Worker side: latest query message not answered yet
 
   // Loading State
-  let currentBatch = 0; // Current batch number being displayed
-  let isBatchLoading = false; // Whether a batch is currently loading
+  let lazyLoadObserver = null; // Observes the sentinel after the grid to load more jobs
+  let jobCardElements = new Map(); // Rendered job card elements by job ID, excluding cards animating out
+
+  // Virtualization State
+  const VIRTUALIZATION_THRESHOLD = 500; // Result count above which "auto" mode virtualizes the grid
+  const VIRTUAL_BUFFER_ROWS = 2; // Rows kept in the DOM above and below the viewport
+  const JOB_CARD_GAP = 20; // Must match the .job-cards-container grid gap
+  let virtualizeMode = "auto"; // true, false or "auto", set through init() options
+  let isVirtualized = false; // Whether the grid is currently rendered virtually
+  let virtualCards = new Map(); // Rendered card elements by job ID, in filteredJobs order, then a focused card kept outside the window
+  let virtualFrameRequest = null; // Pending animation frame for a window update
+  let virtualRowHeight = MIN_JOB_CARD_HEIGHT; // Height of every virtual row, grows to the tallest card rendered
+
+  // Keyboard Navigation State
+  const GRID_NAVIGATION_KEYS = [
+    "ArrowLeft",
+    "ArrowRight",
+    "ArrowUp",
+    "ArrowDown",
+    "Home",
+    "End",
+  ]; // Keys moving focus between job cards
+  let activeJobCardId = null; // Job ID of the card reached with Tab (roving tabindex)
+
+  // Results View State
+  // The table view and grouped results render in group sections (a single
+  // section without heading for an ungrouped table), the plain card grid
+  // renders straight into the container.
+  const RESULTS_VIEW_KEY = "jobListings.resultsView"; // localStorage key for the results view preferences
+  const RESULTS_VIEWS = ["cards", "table"];
+  const GROUP_BY_FIELDS = ["company", "role", "location", "type"]; // Job fields results can be grouped by
+  const TABLE_SORT_CYCLES = {
+    role: ["role"],
+    company: ["company"],
+    location: ["location"],
+    type: ["type"],
+    experience: ["experience"],
+    ctc: ["ctc-desc", "ctc-asc"],
+  }; // Sort orders a table column header cycles through, before the default order
+  let resultsView = { view: "cards", groupBy: "" }; // View preferences, persisted
+  let collapsedJobGroups = new Set(); // Collapsed group values of the current group-by field
+  let jobGroupElements = new Map(); // Rendered group sections by group value
+
+  // Function to get an element of this instance by its (unprefixed) id
+  const getElement = (id) => document.getElementById(idPrefix + id);
+
+  // Function to get a template of this instance, or the page's shared one
+  const getTemplate = (id) => getElement(id) || document.getElementById(id);
+
+  // Function to get the localStorage key of this instance for a base key
+  const getStorageKey = (key) => (idPrefix ? `${key}:${idPrefix}` : key);
+
+  // Function to name the radios of this instance after their prefixed group id
+  // Radios outside a <form> form one group per name across the whole page, so
+  // another instance's radios must not share their names.
+  const scopeRadioGroupNames = () => {
+    RADIO_GROUP_IDS.forEach((groupId) => {
+      getRadioGroupRadios(groupId).forEach((radio) => {
+        radio.name = idPrefix + groupId;
+      });
+    });
+  };
+
+  // Function to get the radios of one of the instance's radio groups
+  // Radio groups are optional, a group missing from the host page's markup has none.
+  const getRadioGroupRadios = (groupId) => {
+    const group = getElement(groupId);
+    return group ? group.querySelectorAll('input[type="radio"]') : [];
+  };
+
+  // Function to listen to the changes of one of the instance's radio groups, if present
+  const addRadioGroupListener = (groupId, listener, options) => {
+    const group = getElement(groupId);
+    if (group) group.addEventListener("change", listener, options);
+  };
 
   // Function to create a job card HTML element using template
   const createJobCard = (job) => {
-    // Get the template and clone it
-    const jobCardTemplate = document.getElementById("job-card-template");
+    // Get the template and clone it (a row with the same fields in the table view)
+    const jobCardTemplate = getTemplate(
+      resultsView.view === "table" ? "job-row-template" : "job-card-template"
+    );
     const jobCardEl = jobCardTemplate.content.cloneNode(true);
 
     // Get the job card element and add job ID as data attribute
     const cardElement = jobCardEl.querySelector(".job-card");
     cardElement.setAttribute("data-job-id", job.id);
 
+    // Give the card's ids (and the references to them) the job ID
+    [cardElement, ...cardElement.querySelectorAll("*")].forEach((element) => {
+      ["id", "aria-labelledby"].forEach((attribute) => {
+        const value = element.getAttribute(attribute);
+        if (value && value.includes("{id}")) {
+          element.setAttribute(
+            attribute,
+            idPrefix + value.replaceAll("{id}", job.id)
+          );
+        }
+      });
+    });
+
     // Populate the job card with data
-    jobCardEl.querySelector(".job-title").textContent = job.role;
-    jobCardEl.querySelector(".company-name").textContent = job.company;
-    jobCardEl.querySelector(".job-location").textContent = job.location;
+    jobCardEl.querySelector(".job-type").textContent = job.type;
+    updateJobCardActions(cardElement, job);
     jobCardEl.querySelector(".experience-level").textContent = job.experience;
-    jobCardEl.querySelector(".salary").textContent = `${job.ctc} LPA`;
+    jobCardEl.querySelector(".salary").textContent = formatSalary(job.ctc);
 
-    // Create and populate technology tags
+    // Create technology tags
     const techTagsContainer = jobCardEl.querySelector(".tech-tags");
-    job.technologies.forEach((tech) => {
+    job.technologies.forEach(() => {
       const techTag = document.createElement("span");
       techTag.className = "tech-tag";
-      techTag.textContent = tech;
       techTagsContainer.appendChild(techTag);
     });
 
+    // Populate the searchable fields, highlighting the current search matches
+    populateSearchableFields(cardElement, job);
+
+    emit("cardrender", { job, element: cardElement });
     return jobCardEl;
   };
 
+  // Function to update a job card's shortlist and compare buttons
+  const updateJobCardActions = (cardElement, job) => {
+    const jobLabel = `${job.role} at ${job.company}`;
+
+    const isShortlisted = shortlistedJobIds.has(job.id);
+    const shortlistToggle = cardElement.querySelector(".shortlist-toggle");
+    shortlistToggle.setAttribute("aria-pressed", isShortlisted);
+    shortlistToggle.setAttribute("aria-label", `Shortlist ${jobLabel}`);
+    shortlistToggle.querySelector(".shortlist-icon").textContent = isShortlisted
+      ? "★"
+      : "☆";
+
+    const isCompared = compareJobIds.includes(job.id);
+    const compareToggle = cardElement.querySelector(".compare-toggle");
+    compareToggle.setAttribute("aria-pressed", isCompared);
+    compareToggle.setAttribute("aria-label", `Compare ${jobLabel}`);
+  };
+
+  // Function to split a search query into lowercase tokens
+  const getSearchTokens = (query) =>
+    query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  // Function to build the search index from job data
+  // Fields are joined with a newline so a token can never match across two fields.
+  const buildSearchIndex = (jobs) => {
+    const index = new Map();
+    jobs.forEach((job) => {
+      const text = [job.role, job.company, job.location, ...job.technologies]
+        .join("\n")
+        .toLowerCase();
+      index.set(job.id, text);
+    });
+    return index;
+  };
+
+  // Function to set an element's text, wrapping search token matches in <mark>
+  const setHighlightedText = (element, text, tokens) => {
+    element.textContent = "";
+
+    // Collect match ranges for every token
+    const lowerText = text.toLowerCase();
+    const ranges = [];
+    tokens.forEach((token) => {
+      let index = lowerText.indexOf(token);
+      while (index !== -1) {
+        ranges.push([index, index + token.length]);
+        index = lowerText.indexOf(token, index + token.length);
+      }
+    });
+
+    // Merge overlapping ranges so nested matches produce a single <mark>
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    // Build text nodes and <mark> elements (never innerHTML, data is untrusted)
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+      if (start > cursor) {
+        element.appendChild(document.createTextNode(text.slice(cursor, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "search-highlight";
+      mark.textContent = text.slice(start, end);
+      element.appendChild(mark);
+      cursor = end;
+    });
+    if (cursor < text.length) {
+      element.appendChild(document.createTextNode(text.slice(cursor)));
+    }
+  };
+
+  // Function to populate the searchable fields of a job card
+  const populateSearchableFields = (cardElement, job) => {
+    const tokens = getSearchTokens(currentSearchFilter);
+
+    setHighlightedText(
+      cardElement.querySelector(".job-title"),
+      job.role,
+      tokens
+    );
+    setHighlightedText(
+      cardElement.querySelector(".company-name"),
+      job.company,
+      tokens
+    );
+    setHighlightedText(
+      cardElement.querySelector(".job-location"),
+      job.location,
+      tokens
+    );
+
+    const techTags = cardElement.querySelectorAll(".tech-tag");
+    job.technologies.forEach((tech, index) => {
+      setHighlightedText(techTags[index], tech, tokens);
+    });
+  };
+
+  // Function to refresh search highlights on cards kept by incremental updates
+  const refreshSearchHighlights = () => {
+    const container = getElement("job-cards-container");
+    container.querySelectorAll(".job-card[data-job-id]").forEach((card) => {
+      const job = jobsById.get(parseInt(card.getAttribute("data-job-id")));
+      if (job) populateSearchableFields(card, job);
+    });
+    highlightedSearchFilter = currentSearchFilter;
+  };
+
+  // Function to coerce a value into a trimmed string, or "" if it isn't text
+  const normalizeText = (value) =>
+    typeof value === "string" || typeof value === "number"
+      ? String(value).trim()
+      : "";
+
+  // Function to validate and normalise raw job records
+  // Bad records are quarantined (reported, not rendered) so one broken entry
+  // can't take down the whole page. Technology names are trimmed and
+  // de-duplicated, using the first spelling seen across the whole dataset.
+  const normalizeJobs = (data) => {
+    if (!Array.isArray(data)) {
+      throw new Error("Job data must be an array of job records");
+    }
+
+    const jobs = [];
+    const rejected = [];
+    const seenIds = new Set();
+    const technologySpellings = new Map();
+
+    data.forEach((record, index) => {
+      const reasons = [];
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        rejected.push({ index, id: undefined, reasons: ["not an object"] });
+        return;
+      }
+
+      // ID: integer or non-blank numeric string, unique (incremental rendering
+      // diffs cards by ID). Other types would coerce, e.g. true to 1 or [] to 0.
+      const isIdNumeric =
+        typeof record.id === "number" ||
+        (typeof record.id === "string" && record.id.trim() !== "");
+      const id = isIdNumeric ? Number(record.id) : NaN;
+      if (!Number.isInteger(id)) {
+        reasons.push("missing or non-integer id");
+      } else if (seenIds.has(id)) {
+        reasons.push(`duplicate id ${id}`);
+      }
+
+      // Required text fields
+      const role = normalizeText(record.role);
+      const company = normalizeText(record.company);
+      if (!role) reasons.push("missing role");
+      if (!company) reasons.push("missing company");
+
+      // CTC: number or numeric string
+      const ctc =
+        typeof record.ctc === "string" ? parseFloat(record.ctc) : record.ctc;
+      if (typeof ctc !== "number" || !Number.isFinite(ctc) || ctc < 0) {
+        reasons.push("missing or invalid ctc");
+      }
+
+      if (reasons.length > 0) {
+        rejected.push({ index, id: record.id, reasons });
+        return;
+      }
+
+      // Technologies: array (or comma-separated string) of unique names
+      const rawTechnologies = Array.isArray(record.technologies)
+        ? record.technologies
+        : normalizeText(record.technologies).split(",");
+      const technologies = [];
+      rawTechnologies.forEach((value) => {
+        const name = normalizeText(value);
+        if (!name) return;
+
+        const key = name.toLowerCase();
+        if (!technologySpellings.has(key)) technologySpellings.set(key, name);
+        const tech = technologySpellings.get(key);
+        if (!technologies.includes(tech)) technologies.push(tech);
+      });
+
+      seenIds.add(id);
+      jobs.push({
+        ...record,
+        id,
+        role,
+        company,
+        location: normalizeText(record.location) || "Not specified",
+        type: normalizeText(record.type) || "Not specified",
+        technologies,
+        experience: normalizeText(record.experience) || "Not specified",
+        ctc,
+      });
+    });
+
+    if (rejected.length > 0) {
+      console.groupCollapsed(
+        `Skipped ${rejected.length} of ${data.length} job records that failed validation`
+      );
+      console.table(
+        rejected.map(({ index, id, reasons }) => ({
+          index,
+          id,
+          reasons: reasons.join(", "),
+        }))
+      );
+      console.groupEnd();
+    }
+
+    return jobs;
+  };
+
   // Function to get unique roles from job data
   const getUniqueRoles = (jobs) => {
     const roles = [...new Set(jobs.map((job) => job.role))];
@@ -82,13 +601,66 @@ const JobListingsModule = (() => {
     return [...technologies].sort(); // Sort alphabetically
   };
 
+  // Function to get unique job types from job data
+  const getUniqueJobTypes = (jobs) => {
+    const types = [...new Set(jobs.map((job) => job.type))];
+    return types.sort(); // Sort alphabetically
+  };
+
+  // Function to check whether a location is a remote one (e.g. "Remote", "Remote (UK)")
+  const isRemoteLocation = (location) => /^remote\b/i.test(location);
+
+  // Function to get unique cities from job data
+  // Remote locations are left out, the remote toggle of the filter covers them.
+  const getUniqueLocations = (jobs) => {
+    const locations = [
+      ...new Set(
+        jobs
+          .map((job) => job.location)
+          .filter((location) => !isRemoteLocation(location))
+      ),
+    ];
+    return locations.sort(); // Sort alphabetically
+  };
+
+  // Function to parse an experience label (e.g. "1-3 years", "5+ years") into a numeric range
+  // Unparseable labels sort after every known level.
+  const parseExperienceRange = (experience) => {
+    if (experienceRangeCache.has(experience)) {
+      return experienceRangeCache.get(experience);
+    }
+
+    let range = { min: Infinity, max: Infinity };
+    const match = /^\s*(\d+)\s*(?:(\+)|-\s*(\d+))?/.exec(experience || "");
+    if (match) {
+      const min = parseInt(match[1]);
+      if (match[2]) range = { min, max: Infinity };
+      else if (match[3]) range = { min, max: parseInt(match[3]) };
+      else range = { min, max: min };
+    }
+
+    experienceRangeCache.set(experience, range);
+    return range;
+  };
+
+  // Function to compare experience labels by seniority (minimum, then maximum years)
+  const compareExperienceLevels = (a, b) => {
+    const rangeA = parseExperienceRange(a);
+    const rangeB = parseExperienceRange(b);
+    return rangeA.min - rangeB.min || rangeA.max - rangeB.max;
+  };
+
   // Function to get unique experience levels from job data
   const getUniqueExperienceLevels = (jobs) => {
     const experienceLevels = [...new Set(jobs.map((job) => job.experience))];
-    return experienceLevels.sort(); // Sort alphabetically
+    // Sort by seniority, alphabetically among identical ranges
+    return experienceLevels.sort(
+      (a, b) => compareExperienceLevels(a, b) || a.localeCompare(b)
+    );
   };
 
   // Function to get CTC range from job data
+  // Bounds are rounded outwards so whole-number slider steps cover decimal CTCs.
   const getCTCRange = (jobs) => {
     let min = jobs[0].ctc;
     let max = jobs[0].ctc;
@@ -97,12 +669,12 @@ const JobListingsModule = (() => {
       if (ctc < min) min = ctc;
       if (ctc > max) max = ctc;
     }
-    return { min, max };
+    return { min: Math.floor(min), max: Math.ceil(max) };
   };
 
   // Function to populate role filter dropdown
   const populateRoleFilter = (roles) => {
-    const roleFilter = document.getElementById("role-filter");
+    const roleFilter = getElement("role-filter");
 
     // Clear existing options except "All Roles"
     roleFilter.innerHTML = '<option value="">All Roles</option>';
@@ -118,13 +690,11 @@ const JobListingsModule = (() => {
 
   // Function to populate technologies filter checkboxes
   const populateTechnologiesFilter = (technologies) => {
-    const technologiesFilterLoader = document.getElementById(
-      "technologies-filter-loader"
-    );
+    const technologiesFilterLoader = getElement("technologies-filter-loader");
     technologiesFilterLoader.style.display = "none";
 
-    const technologiesFilter = document.getElementById("technologies-filter");
-    technologiesFilter.style.display = "flex";
+    const technologiesFilter = getElement("technologies-filter");
+    technologiesFilter.classList.remove("is-loading");
 
     // Clear existing checkboxes
     technologiesFilter.innerHTML = "";
@@ -139,15 +709,101 @@ const JobListingsModule = (() => {
       input.value = tech;
       input.name = "technologies";
 
+      const count = document.createElement("span");
+      count.className = "facet-count";
+
       label.appendChild(input);
       label.appendChild(document.createTextNode(tech));
+      label.appendChild(count);
       technologiesFilter.appendChild(label);
     });
   };
 
+  // Function to populate job type filter checkboxes
+  const populateTypeFilter = (types) => {
+    const typeFilterLoader = getElement("type-filter-loader");
+    typeFilterLoader.style.display = "none";
+
+    const typeFilter = getElement("type-filter");
+    typeFilter.classList.remove("is-loading");
+
+    // Clear existing checkboxes
+    typeFilter.innerHTML = "";
+
+    // Add job type checkboxes
+    types.forEach((type) => {
+      const label = document.createElement("label");
+      label.className = "checkbox-item";
+
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = type;
+      input.name = "types";
+
+      const count = document.createElement("span");
+      count.className = "facet-count";
+
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(type));
+      label.appendChild(count);
+      typeFilter.appendChild(label);
+    });
+  };
+
+  // Function to populate location filter checkboxes
+  const populateLocationFilter = (locations) => {
+    const locationFilterLoader = getElement("location-filter-loader");
+    locationFilterLoader.style.display = "none";
+
+    const locationFilter = getElement("location-filter");
+    locationFilter.classList.remove("is-loading");
+
+    // Clear existing checkboxes
+    locationFilter.innerHTML = "";
+
+    // Add city checkboxes
+    locations.forEach((location) => {
+      const label = document.createElement("label");
+      label.className = "checkbox-item";
+
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.value = location;
+      input.name = "locations";
+
+      const count = document.createElement("span");
+      count.className = "facet-count";
+
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(location));
+      label.appendChild(count);
+      locationFilter.appendChild(label);
+    });
+
+    filterLocationOptions();
+  };
+
+  // Function to show only the cities matching the location search (type-ahead)
+  // Checked cities stay visible, so a selection can always be undone.
+  const filterLocationOptions = () => {
+    const query = getElement("location-search").value.trim().toLowerCase();
+    const locationFilter = getElement("location-filter");
+
+    let visibleCount = 0;
+    locationFilter.querySelectorAll(".checkbox-item").forEach((item) => {
+      const checkbox = item.querySelector('input[type="checkbox"]');
+      const isVisible =
+        checkbox.checked || checkbox.value.toLowerCase().includes(query);
+      item.hidden = !isVisible;
+      if (isVisible) visibleCount++;
+    });
+
+    getElement("location-search-empty").hidden = visibleCount > 0;
+  };
+
   // Function to populate experience filter dropdown
   const populateExperienceFilter = (experienceLevels) => {
-    const experienceFilter = document.getElementById("experience-filter");
+    const experienceFilter = getElement("experience-filter");
 
     // Clear existing options except "All Experience Levels"
     experienceFilter.innerHTML =
@@ -162,516 +818,4112 @@ const JobListingsModule = (() => {
     });
   };
 
-  // Function to update CTC range slider bounds
-  const populateCTCRangeFilter = (ctcRange) => {
-    const ctcMinSlider = document.getElementById("ctc-min");
-    const ctcMaxSlider = document.getElementById("ctc-max");
-    const ctcMinValue = document.getElementById("ctc-min-value");
-    const ctcMaxValue = document.getElementById("ctc-max-value");
-
-    // Update slider bounds
-    ctcMinSlider.min = ctcRange.min;
-    ctcMinSlider.max = ctcRange.max;
-    ctcMinSlider.value = ctcRange.min;
+  // Function to get the period salaries are shown per (LPA is always annual)
+  const getSalaryPeriod = () =>
+    salaryDisplay.unit === "LPA" ? "annual" : salaryDisplay.period;
 
-    ctcMaxSlider.min = ctcRange.min;
-    ctcMaxSlider.max = ctcRange.max;
-    ctcMaxSlider.value = ctcRange.max;
+  // Function to convert a CTC in LPA to the display unit
+  const toDisplaySalary = (ctc) => {
+    if (salaryDisplay.unit === "LPA") return ctc;
 
-    // Update display values
-    ctcMinValue.textContent = ctcRange.min;
-    ctcMaxValue.textContent = ctcRange.max;
+    const annual = (ctc * RUPEES_PER_LAKH) / exchangeRates[salaryDisplay.unit];
+    return getSalaryPeriod() === "monthly" ? annual / 12 : annual;
   };
 
-  // Function to filter jobs by role
-  const filterJobsByRole = (jobs, role) => {
-    if (!role) return jobs;
-    return jobs.filter((job) => job.role === role);
-  };
+  // Function to convert an amount in the display unit to a CTC in LPA
+  // Rounded to 12 significant digits, so converting a displayed CTC back gives
+  // the stored value rather than a float a hair away from it.
+  const fromDisplaySalary = (amount) => {
+    if (salaryDisplay.unit === "LPA") return amount;
 
-  // Function to filter jobs by technologies
-  const filterJobsByTechnologies = (jobs, technologies) => {
-    if (!technologies || technologies.length === 0) return jobs;
-    return jobs.filter((job) =>
-      technologies.every((tech) => job.technologies.includes(tech))
-    );
+    const annual = getSalaryPeriod() === "monthly" ? amount * 12 : amount;
+    const ctc = (annual * exchangeRates[salaryDisplay.unit]) / RUPEES_PER_LAKH;
+    return Number(ctc.toPrecision(12));
   };
 
-  // Function to filter jobs by experience level
-  const filterJobsByExperience = (jobs, experience) => {
-    if (!experience) return jobs;
-    return jobs.filter((job) => job.experience === experience);
+  // Function to get the number formatter of the display unit
+  const getSalaryFormatter = () => {
+    const { unit } = salaryDisplay;
+    if (!salaryFormatters.has(unit)) {
+      const { currency, locale } = SALARY_UNITS[unit];
+      const formatOptions = currency
+        ? { style: "currency", currency, maximumFractionDigits: 0 }
+        : { maximumFractionDigits: 2 };
+      salaryFormatters.set(unit, new Intl.NumberFormat(locale, formatOptions));
+    }
+    return salaryFormatters.get(unit);
   };
 
-  // Function to filter jobs by CTC range
-  const filterJobsByCTC = (jobs, ctcRange) => {
-    if (!ctcRange || (ctcRange.min === 0 && ctcRange.max === 0)) return jobs;
-    return jobs.filter(
-      (job) => job.ctc >= ctcRange.min && job.ctc <= ctcRange.max
-    );
+  // Function to get the suffix of formatted salaries, e.g. " LPA" or "/mo"
+  const getSalarySuffix = () =>
+    salaryDisplay.unit === "LPA"
+      ? " LPA"
+      : SALARY_PERIOD_SUFFIXES[getSalaryPeriod()];
+
+  // Function to format a CTC in the display unit, e.g. "12 LPA" or "£11,215/yr"
+  const formatSalary = (ctc) =>
+    `${getSalaryFormatter().format(toDisplaySalary(ctc))}${getSalarySuffix()}`;
+
+  // Function to format a CTC range in the display unit, e.g. "£5,607–£11,215/yr"
+  const formatSalaryRange = (min, max) => {
+    const formatter = getSalaryFormatter();
+    return `${formatter.format(toDisplaySalary(min))}–${formatter.format(
+      toDisplaySalary(max)
+    )}${getSalarySuffix()}`;
   };
 
-  // Function to get currently displayed job IDs from DOM
-  // Note: We query the DOM instead of using displayedJobs state because this function
-  // is called during incremental updates BEFORE displayedJobs is updated with new state.
-  // We need to know what's actually in the DOM right now to calculate the difference.
-  const getCurrentlyDisplayedJobIds = () => {
-    const container = document.getElementById("job-cards-container");
-    const jobCards = container.querySelectorAll(".job-card[data-job-id]");
-    return Array.from(jobCards).map((card) =>
-      parseInt(card.getAttribute("data-job-id"))
-    );
+  // Function to get a round step giving about CTC_SLIDER_STEPS steps over a span
+  // Steps are never below 1, one LPA or one unit of currency.
+  const getRoundStep = (span) => {
+    const rawStep = span / CTC_SLIDER_STEPS;
+    if (rawStep <= 1) return 1;
+
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const factor = [1, 2, 5, 10].find((f) => f * magnitude >= rawStep);
+    return factor * magnitude;
   };
 
-  // Function to calculate which jobs need to be added/removed for incremental updates
-  const calculateJobChanges = (currentJobIds, newJobs) => {
-    const newJobIds = newJobs.map((job) => job.id);
+  // Function to get the CTC slider bounds and step in the display unit
+  // The bounds are rounded out to whole steps, positions past the data range
+  // clamp to it (see clampCTCBound).
+  const getCTCSliderScale = () => {
+    const displayMin = toDisplaySalary(filterOptions.ctcRange.min);
+    const displayMax = toDisplaySalary(filterOptions.ctcRange.max);
+    const step = getRoundStep(displayMax - displayMin);
 
-    // Jobs to remove: currently displayed but not in new list
-    const jobsToRemove = currentJobIds.filter((id) => !newJobIds.includes(id));
+    return {
+      min: Math.floor(displayMin / step) * step,
+      max: Math.ceil(displayMax / step) * step,
+      step,
+    };
+  };
 
-    // Jobs to add: in new list but not currently displayed
-    const jobsToAdd = newJobs.filter((job) => !currentJobIds.includes(job.id));
+  // Function to update the CTC slider and numeric input bounds for the display unit
+  const updateCTCScale = () => {
+    const { min, max, step } = getCTCSliderScale();
+    ["ctc-min", "ctc-max"].forEach((id) => {
+      const slider = getElement(id);
+      slider.min = min;
+      slider.max = max;
+      slider.step = step;
+    });
 
-    return { jobsToRemove, jobsToAdd };
+    // Numeric inputs take any whole amount, the sliders' steps are too coarse to type
+    ["ctc-min-value", "ctc-max-value"].forEach((id) => {
+      const input = getElement(id);
+      input.min = Math.floor(toDisplaySalary(filterOptions.ctcRange.min));
+      input.max = Math.ceil(toDisplaySalary(filterOptions.ctcRange.max));
+    });
   };
 
-  // Function to render job cards with incremental updates
-  const renderJobBatch = (
-    jobs,
-    append = false,
-    useIncrementalUpdates = false
-  ) => {
-    const container = document.getElementById("job-cards-container");
+  // Function to update CTC range slider and input bounds
+  const populateCTCRangeFilter = (ctcRange) => {
+    updateCTCScale();
 
-    // Clear existing content if not appending and not using incremental updates
-    if (!append && !useIncrementalUpdates) {
-      container.innerHTML = "";
-    }
+    // Start from the full range, the filter state is applied afterwards
+    currentCTCFilter = { ...ctcRange };
+    updateCTCControls();
+  };
 
-    // Show message if no jobs found and not appending
-    if (jobs.length === 0 && !append) {
-      const noResultsTemplate = document.getElementById("no-results-template");
-      const noResultsEl = noResultsTemplate.content.cloneNode(true);
-      container.appendChild(noResultsEl);
-      return;
-    }
+  // Function to sync the salary display controls and unit labels with the preferences
+  const updateSalaryDisplayControls = () => {
+    getElement("salary-unit").value = salaryDisplay.unit;
+    getRadioGroupRadios("salary-period").forEach((radio) => {
+      radio.checked = radio.value === getSalaryPeriod();
+      radio.disabled = salaryDisplay.unit === "LPA";
+    });
 
-    // Handle incremental updates
-    if (useIncrementalUpdates && !append) {
-      const currentJobIds = getCurrentlyDisplayedJobIds();
-      const { jobsToRemove, jobsToAdd } = calculateJobChanges(
-        currentJobIds,
-        jobs
-      );
+    const unitLabel =
+      salaryDisplay.unit === "LPA"
+        ? "LPA"
+        : `${salaryDisplay.unit}${getSalarySuffix()}`;
+    getElement("ctc-unit-label").textContent = unitLabel;
+    getElement("ctc-min-unit").textContent = unitLabel;
+    getElement("ctc-max-unit").textContent = unitLabel;
+  };
 
-      // Remove jobs that should no longer be displayed
-      jobsToRemove.forEach((jobId) => {
-        const cardToRemove = container.querySelector(
-          `[data-job-id="${jobId}"]`
-        );
-        if (cardToRemove) {
-          cardToRemove.classList.add("animate-out");
-          setTimeout(() => {
-            if (cardToRemove.parentNode) {
-              cardToRemove.remove();
-            }
-          }, 300); // Match CSS animation duration
-        }
+  // Function to show the salaries on the cards in the display unit
+  // Covers cached cards too, they are reused as they are by later renders.
+  const updateRenderedSalaries = () => {
+    [jobCardElements, virtualCards].forEach((cards) => {
+      cards.forEach((card, jobId) => {
+        const job = jobsById.get(jobId);
+        if (job)
+          card.querySelector(".salary").textContent = formatSalary(job.ctc);
       });
+    });
+  };
 
-      // Add new jobs in the correct order
-      if (jobsToAdd.length > 0) {
-        // Create a map of job ID to job object for quick lookup
-        const jobMap = {};
-        jobs.forEach((job) => {
-          jobMap[job.id] = job;
-        });
+  // Function to switch every salary on the page to the display preferences
+  const applySalaryDisplay = () => {
+    updateSalaryDisplayControls();
+    updateCTCScale();
+    updateCTCControls();
+    renderCTCHistogram(ctcHistogramCounts);
+    updateRenderedSalaries();
+    updateJobGroupHeadings();
+    renderActiveFilters();
+  };
 
-        jobsToAdd.forEach((job, addIndex) => {
-          const jobCard = createJobCard(job);
-
-          // Find the correct position to insert this job
-          const jobIndex = jobs.findIndex((j) => j.id === job.id);
-          let insertBeforeElement = null;
-
-          // Look for the next job in the desired order that's already in the DOM
-          for (let i = jobIndex + 1; i < jobs.length; i++) {
-            const nextJobId = jobs[i].id;
-            const nextCard = container.querySelector(
-              `[data-job-id="${nextJobId}"]`
-            );
-            if (nextCard) {
-              insertBeforeElement = nextCard;
-              break;
-            }
-          }
+  // Function to sync the CTC sliders and numeric inputs with the CTC filter
+  const updateCTCControls = () => {
+    const { min, max } = currentCTCFilter;
+    const ctcMinSlider = getElement("ctc-min");
+    const ctcMaxSlider = getElement("ctc-max");
 
-          // Insert the card at the correct position
-          if (insertBeforeElement) {
-            container.insertBefore(jobCard, insertBeforeElement);
-          } else {
-            container.appendChild(jobCard);
-          }
+    ctcMinSlider.value = toDisplaySalary(min);
+    ctcMaxSlider.value = toDisplaySalary(max);
+    ctcMinSlider.setAttribute("aria-valuetext", formatSalary(min));
+    ctcMaxSlider.setAttribute("aria-valuetext", formatSalary(max));
+    getElement("ctc-min-value").value = Math.round(toDisplaySalary(min));
+    getElement("ctc-max-value").value = Math.round(toDisplaySalary(max));
 
-          // Get the actual inserted element for animation
-          const insertedCard = container.querySelector(
-            `[data-job-id="${job.id}"]`
-          );
+    // Overlapping thumbs near the top of the range: only the minimum can move,
+    // so it goes on top (the pointer refines this, see handleCTCSliderPointerMove)
+    const rangeMiddle =
+      (filterOptions.ctcRange.min + filterOptions.ctcRange.max) / 2;
+    ctcMinSlider.classList.toggle("is-raised", min > rangeMiddle);
 
-          // Trigger animation with staggered delay
-          setTimeout(() => {
-            if (insertedCard) {
-              insertedCard.classList.add("animate-in");
-            }
-          }, addIndex * 100);
-        });
-      }
+    updateCTCHistogramSelection();
+  };
 
-      // Remove loading indicator if it exists
-      const loadingIndicator = container.querySelector(".loading-more");
-      if (loadingIndicator) {
-        loadingIndicator.remove();
-      }
+  // Function to render the salary histogram from the CTC facet counts
+  // Counts ignore the CTC filter, so the histogram shows where the salaries of
+  // the other filters' results cluster, inside and outside the selected range.
+  const renderCTCHistogram = (counts) => {
+    ctcHistogramCounts = counts;
+    const histogram = getElement("ctc-histogram");
+    const { min, max } = filterOptions.ctcRange;
+    const barSize = Math.ceil((max - min + 1) / CTC_HISTOGRAM_MAX_BARS);
+    const barTotals = new Array(Math.ceil((max - min + 1) / barSize)).fill(0);
 
-      return;
-    }
+    counts.forEach((count, ctc) => {
+      const barIndex = Math.min(
+        Math.floor((ctc - min) / barSize),
+        barTotals.length - 1
+      );
+      barTotals[barIndex] += count;
+    });
 
-    // Original logic for non-incremental updates (lazy loading)
-    jobs.forEach((job, index) => {
-      const jobCard = createJobCard(job);
-      container.appendChild(jobCard);
+    const tallestBar = Math.max(...barTotals, 1);
+    const totalJobs = barTotals.reduce((sum, total) => sum + total, 0);
+    histogram.innerHTML = "";
+    barTotals.forEach((total, index) => {
+      const barStart = min + index * barSize;
+      const barEnd = Math.min(barStart + barSize - 1, max);
+      const bar = document.createElement("div");
+      bar.className = "ctc-histogram-bar";
+      bar.style.height = `${(total / tallestBar) * 100}%`;
+      bar.setAttribute("data-start", barStart);
+      bar.setAttribute("data-end", barEnd);
+      bar.title =
+        barStart === barEnd
+          ? `${formatSalary(barStart)}: ${total}`
+          : `${formatSalaryRange(barStart, barEnd)}: ${total}`;
+      histogram.appendChild(bar);
+    });
 
-      // Get the actual job card element that was just added
-      const addedCards = container.querySelectorAll(".job-card");
-      const cardElement = addedCards[addedCards.length - 1];
+    histogram.setAttribute(
+      "aria-label",
+      `Salary distribution of ${totalJobs} ${
+        totalJobs === 1 ? "job" : "jobs"
+      } matching the other filters, from ${formatSalary(min)} to ${formatSalary(
+        max
+      )}`
+    );
+    updateCTCHistogramSelection();
+  };
 
-      // Trigger animation with staggered delay
+  // Function to highlight the histogram bars inside the selected CTC range
+  const updateCTCHistogramSelection = () => {
+    const { min, max } = currentCTCFilter;
+    getElement("ctc-histogram").childNodes.forEach((bar) => {
+      const barStart = parseInt(bar.getAttribute("data-start"));
+      const barEnd = parseInt(bar.getAttribute("data-end"));
+      bar.classList.toggle("is-in-range", barStart <= max && barEnd >= min);
+    });
+  };
+
+  // Function to add a job ID to the set of an inverted index entry
+  const addToIndex = (index, value, jobId) => {
+    if (!index.has(value)) index.set(value, new Set());
+    index.get(value).add(jobId);
+  };
+
+  // Function to build the filter indexes from job data, once per dataset
+  // Role, type, experience and technology map each value to the set of job IDs
+  // having it, and CTC keeps the jobs sorted by CTC for range queries. Filtering
+  // then becomes set lookups and intersections instead of scanning every job.
+  const buildFilterIndexes = (jobs) => {
+    const indexes = {
+      jobIds: new Set(),
+      role: new Map(),
+      type: new Map(),
+      location: new Map(),
+      remote: new Set(),
+      experience: new Map(),
+      technologies: new Map(),
+      ctc: [],
+    };
+
+    jobs.forEach((job) => {
+      indexes.jobIds.add(job.id);
+      addToIndex(indexes.role, job.role, job.id);
+      addToIndex(indexes.type, job.type, job.id);
+      if (isRemoteLocation(job.location)) indexes.remote.add(job.id);
+      else addToIndex(indexes.location, job.location, job.id);
+      addToIndex(indexes.experience, job.experience, job.id);
+      job.technologies.forEach((tech) => {
+        addToIndex(indexes.technologies, tech, job.id);
+      });
+      indexes.ctc.push(job);
+    });
+    indexes.ctc.sort((a, b) => a.ctc - b.ctc);
+
+    return indexes;
+  };
+
+  // Function to get the union of the index sets of the given values
+  const unionIndexSets = (index, values) => {
+    const jobIds = new Set();
+    values.forEach((value) => {
+      const valueJobIds = index.get(value);
+      if (valueJobIds) valueJobIds.forEach((jobId) => jobIds.add(jobId));
+    });
+    return jobIds;
+  };
+
+  // Function to intersect job ID sets, starting from the smallest one
+  const intersectJobIdSets = (sets) => {
+    const [smallest, ...others] = [...sets].sort((a, b) => a.size - b.size);
+    const jobIds = new Set();
+    smallest.forEach((jobId) => {
+      if (others.every((set) => set.has(jobId))) jobIds.add(jobId);
+    });
+    return jobIds;
+  };
+
+  // Function to find the first position in the CTC index whose CTC passes a test
+  // The index is sorted by CTC, so the test flips from false to true only once.
+  const findCTCIndexPosition = (isPastPosition) => {
+    const ctcIndex = filterIndexes.ctc;
+    let low = 0;
+    let high = ctcIndex.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (isPastPosition(ctcIndex[middle].ctc)) high = middle;
+      else low = middle + 1;
+    }
+    return low;
+  };
+
+  // Index lookups, one per indexed filter
+  // Each returns the set of matching job IDs, or null when the filter is inactive
+  // and every job passes. Sets from the indexes are shared, never modify them.
+
+  // Function to look up jobs by role
+  const lookupJobsByRole = (role) => {
+    if (!role) return null;
+    return filterIndexes.role.get(role) || new Set();
+  };
+
+  // Function to look up jobs by technologies
+  // "all" requires every selected technology, "any" at least one of them and
+  // "none" excludes jobs using any of them.
+  const lookupJobsByTechnologies = ({ technologies, mode = "all" }) => {
+    if (!technologies || technologies.length === 0) return null;
+    const index = filterIndexes.technologies;
+
+    if (mode === "any") return unionIndexSets(index, technologies);
+    if (mode === "none") {
+      const excludedJobIds = unionIndexSets(index, technologies);
+      const jobIds = new Set();
+      filterIndexes.jobIds.forEach((jobId) => {
+        if (!excludedJobIds.has(jobId)) jobIds.add(jobId);
+      });
+      return jobIds;
+    }
+    return intersectJobIdSets(
+      technologies.map((tech) => index.get(tech) || new Set())
+    );
+  };
+
+  // Function to look up jobs by job type
+  // Unlike technologies, a job has a single type, so any selected type matches.
+  const lookupJobsByType = (types) => {
+    if (!types || types.length === 0) return null;
+    return unionIndexSets(filterIndexes.type, types);
+  };
+
+  // Function to look up jobs by location
+  // "include" adds remote jobs to the selected cities, "only" ignores the cities
+  // and "exclude" drops remote jobs. Without cities, "include" doesn't filter.
+  const lookupJobsByLocation = ({ locations, remote = "include" }) => {
+    const remoteJobIds = filterIndexes.remote;
+    if (remote === "only") return remoteJobIds;
+
+    const hasLocations = locations && locations.length > 0;
+    if (!hasLocations && remote !== "exclude") return null;
+
+    if (!hasLocations) {
+      const jobIds = new Set();
+      filterIndexes.jobIds.forEach((jobId) => {
+        if (!remoteJobIds.has(jobId)) jobIds.add(jobId);
+      });
+      return jobIds;
+    }
+
+    const jobIds = unionIndexSets(filterIndexes.location, locations);
+    if (remote === "include") {
+      remoteJobIds.forEach((jobId) => jobIds.add(jobId));
+    }
+    return jobIds;
+  };
+
+  // Function to look up jobs by experience level
+  const lookupJobsByExperience = (experience) => {
+    if (!experience) return null;
+    return filterIndexes.experience.get(experience) || new Set();
+  };
+
+  // Function to look up jobs by the candidate's years of experience
+  // Matches every job whose parsed experience range contains the given years,
+  // open-ended "N+" ranges included. Only the distinct levels need parsing.
+  const lookupJobsByExperienceYears = (years) => {
+    if (years === null || years === undefined) return null;
+    const matchingLevels = [...filterIndexes.experience.keys()].filter(
+      (level) => {
+        const range = parseExperienceRange(level);
+        return range.min <= years && years <= range.max;
+      }
+    );
+    return unionIndexSets(filterIndexes.experience, matchingLevels);
+  };
+
+  // Function to look up jobs by CTC range, with two binary searches on the CTC index
+  const lookupJobsByCTC = (ctcRange) => {
+    if (!ctcRange || (ctcRange.min === 0 && ctcRange.max === 0)) return null;
+    const start = findCTCIndexPosition((ctc) => ctc >= ctcRange.min);
+    const end = findCTCIndexPosition((ctc) => ctc > ctcRange.max);
+
+    const jobIds = new Set();
+    for (let i = start; i < end; i++) {
+      jobIds.add(filterIndexes.ctc[i].id);
+    }
+    return jobIds;
+  };
+
+  // Reference filters, one per indexed filter
+  // The plain scans the index lookups replaced. The page doesn't use them:
+  // tests.js checks that the lookups give the same results and facet counts.
+
+  // Function to filter jobs by role
+  const filterJobsByRole = (jobs, role) => {
+    if (!role) return jobs;
+    return jobs.filter((job) => job.role === role);
+  };
+
+  // Function to filter jobs by technologies
+  const filterJobsByTechnologies = (jobs, { technologies, mode = "all" }) => {
+    if (!technologies || technologies.length === 0) return jobs;
+    if (mode === "any") {
+      return jobs.filter((job) =>
+        technologies.some((tech) => job.technologies.includes(tech))
+      );
+    }
+    if (mode === "none") {
+      return jobs.filter(
+        (job) => !technologies.some((tech) => job.technologies.includes(tech))
+      );
+    }
+    return jobs.filter((job) =>
+      technologies.every((tech) => job.technologies.includes(tech))
+    );
+  };
+
+  // Function to filter jobs by job type
+  const filterJobsByType = (jobs, types) => {
+    if (!types || types.length === 0) return jobs;
+    return jobs.filter((job) => types.includes(job.type));
+  };
+
+  // Function to filter jobs by location
+  const filterJobsByLocation = (jobs, { locations, remote = "include" }) => {
+    const hasLocations = locations && locations.length > 0;
+    if (!hasLocations && remote === "include") return jobs;
+
+    return jobs.filter((job) => {
+      if (isRemoteLocation(job.location)) return remote !== "exclude";
+      return (
+        remote !== "only" && (!hasLocations || locations.includes(job.location))
+      );
+    });
+  };
+
+  // Function to filter jobs by experience level
+  const filterJobsByExperience = (jobs, experience) => {
+    if (!experience) return jobs;
+    return jobs.filter((job) => job.experience === experience);
+  };
+
+  // Function to filter jobs by the candidate's years of experience
+  const filterJobsByExperienceYears = (jobs, years) => {
+    if (years === null || years === undefined) return jobs;
+    return jobs.filter((job) => {
+      const range = parseExperienceRange(job.experience);
+      return range.min <= years && years <= range.max;
+    });
+  };
+
+  // Function to filter jobs by CTC range
+  const filterJobsByCTC = (jobs, ctcRange) => {
+    if (!ctcRange || (ctcRange.min === 0 && ctcRange.max === 0)) return jobs;
+    return jobs.filter(
+      (job) => job.ctc >= ctcRange.min && job.ctc <= ctcRange.max
+    );
+  };
+
+  // Reference filters keyed like the filter chain entries they stand in for
+  const referenceFilters = {
+    role: filterJobsByRole,
+    technologies: filterJobsByTechnologies,
+    types: filterJobsByType,
+    location: filterJobsByLocation,
+    experience: filterJobsByExperience,
+    experienceYears: filterJobsByExperienceYears,
+    ctc: filterJobsByCTC,
+  };
+
+  // Function to filter jobs to the shortlisted ones
+  const filterJobsByShortlist = (jobs, shortlistedOnly) => {
+    if (!shortlistedOnly) return jobs;
+    return jobs.filter((job) => shortlistedJobIds.has(job.id));
+  };
+
+  // Function to filter jobs by free-text search
+  // Every token must appear in the job's role, company, location or technologies.
+  const filterJobsBySearch = (jobs, query) => {
+    const tokens = getSearchTokens(query || "");
+    if (tokens.length === 0) return jobs;
+    return jobs.filter((job) => {
+      const text = searchIndex.get(job.id);
+      return tokens.every((token) => text.includes(token));
+    });
+  };
+
+  // Function to count how many of the selected technologies a job uses
+  const getTechnologyRelevance = (job, technologies) =>
+    technologies.filter((tech) => job.technologies.includes(tech)).length;
+
+  // Sort comparators keyed by sort option value
+  const sortComparators = {
+    relevance: (a, b, technologies) =>
+      getTechnologyRelevance(b, technologies) -
+        getTechnologyRelevance(a, technologies) ||
+      // Among equally relevant jobs, prefer the more focused tech stack
+      a.technologies.length - b.technologies.length,
+    "ctc-desc": (a, b) => b.ctc - a.ctc,
+    "ctc-asc": (a, b) => a.ctc - b.ctc,
+    company: (a, b) => a.company.localeCompare(b.company),
+    role: (a, b) => a.role.localeCompare(b.role),
+    experience: (a, b) => compareExperienceLevels(a.experience, b.experience),
+    location: (a, b) => a.location.localeCompare(b.location),
+    type: (a, b) => a.type.localeCompare(b.type),
+  };
+
+  // Function to sort jobs by the selected sort option
+  // Array.prototype.sort is stable, so ties keep their original data order.
+  const sortJobs = (jobs, sort, technologies) => {
+    const comparator = sortComparators[sort];
+    if (!comparator) return jobs;
+    if (sort === "relevance" && technologies.length === 0) return jobs;
+    return [...jobs].sort((a, b) => comparator(a, b, technologies));
+  };
+
+  // Function to get a rendered job card that is not animating out
+  // Cards are looked up in the card cache instead of querying the container, so
+  // lookups stay constant-time however many cards are rendered.
+  const getJobCardElement = (jobId) => {
+    const card = (isVirtualized ? virtualCards : jobCardElements).get(jobId);
+    return card && card.isConnected ? card : null;
+  };
+
+  // Function to make a job card the one reached with Tab (roving tabindex)
+  const setActiveJobCard = (jobId) => {
+    [jobCardElements, virtualCards].forEach((cards) => {
+      const previousCard = cards.get(activeJobCardId);
+      if (previousCard) previousCard.tabIndex = -1;
+    });
+
+    activeJobCardId = jobId;
+    const card = getJobCardElement(jobId);
+    if (card) card.tabIndex = 0;
+  };
+
+  // Function to check whether a card is hidden in a collapsed group
+  const isInCollapsedJobGroup = (card) =>
+    Boolean(card.closest(".job-group.is-collapsed"));
+
+  // Function to keep exactly one rendered card in the tab sequence
+  // Falls back to the first rendered card once the active one is gone, or
+  // hidden in a collapsed group.
+  const updateRovingTabIndex = () => {
+    const activeCard = getJobCardElement(activeJobCardId);
+    if (activeCard && !isInCollapsedJobGroup(activeCard)) {
+      setActiveJobCard(activeJobCardId);
+      return;
+    }
+
+    const firstCard = [
+      ...getElement("job-cards-container").querySelectorAll(
+        ".job-card[data-job-id]:not(.animate-out)"
+      ),
+    ].find((card) => !isInCollapsedJobGroup(card));
+    setActiveJobCard(
+      firstCard ? parseInt(firstCard.getAttribute("data-job-id")) : null
+    );
+  };
+
+  // Function to remove every job card and forget the cached card elements
+  const clearJobCards = (container) => {
+    container.innerHTML = "";
+    jobCardElements = new Map();
+    jobGroupElements = new Map();
+  };
+
+  // Function to get the positions of the rendered job cards, keyed by job ID
+  const getJobCardPositions = () => {
+    const positions = new Map();
+    jobCardElements.forEach((card, jobId) => {
+      positions.set(jobId, card.getBoundingClientRect());
+    });
+    return positions;
+  };
+
+  // Function to move rendered job cards into the order of the given jobs
+  // Only cards that are out of place are moved, cards animating out are skipped.
+  const reorderJobCards = (container, jobs) => {
+    let previousCard = null;
+    jobs.forEach((job) => {
+      const card = getJobCardElement(job.id);
+      if (!card) return;
+
+      if (previousCard) {
+        let nextCard = previousCard.nextElementSibling;
+        while (nextCard && nextCard.classList.contains("animate-out")) {
+          nextCard = nextCard.nextElementSibling;
+        }
+        if (nextCard !== card) previousCard.after(card);
+      } else {
+        const firstCard = container.querySelector(
+          ".job-card[data-job-id]:not(.animate-out)"
+        );
+        if (firstCard !== card) container.insertBefore(card, firstCard);
+      }
+
+      previousCard = card;
+    });
+  };
+
+  // Function to animate cards from their previous to their new position (FLIP technique)
+  const animateJobCardMoves = (previousPositions) => {
+    const prefersReducedMotion =
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    if (prefersReducedMotion || previousPositions.size === 0) return;
+
+    jobCardElements.forEach((card, jobId) => {
+      const previous = previousPositions.get(jobId);
+      if (!previous || typeof card.animate !== "function") return;
+
+      const current = card.getBoundingClientRect();
+      const deltaX = previous.left - current.left;
+      const deltaY = previous.top - current.top;
+      if (deltaX === 0 && deltaY === 0) return;
+
+      // Web Animations take precedence over the CSS entry animations
+      card.animate(
+        [
+          { transform: `translate(${deltaX}px, ${deltaY}px)` },
+          { transform: "translate(0, 0)" },
+        ],
+        { duration: CARD_MOVE_DURATION, easing: "ease-in-out" }
+      );
+    });
+  };
+
+  // Function to get the IDs of the jobs passing each filter of the chain
+  // Indexed filters answer with a lookup, the others run once over all jobs.
+  // Inactive filters give null, every job passes them.
+  const getPassingJobIds = (filterChain) =>
+    filterChain.map(({ lookup, filter, params }) => {
+      if (lookup) return lookup(params);
+
+      const passingJobs = filter(allJobs, params);
+      // Inactive filters return their input untouched
+      return passingJobs === allJobs
+        ? null
+        : new Set(passingJobs.map((job) => job.id));
+    });
+
+  // Function to run the filter chain and count facet values in a single pass
+  // A job failing no filter is a result and counts towards every facet. A job
+  // failing exactly one filter still counts towards that filter's own facet,
+  // since changing that filter could bring it back.
+  const applyFacetedFilters = (filterChain) => {
+    const passingJobIds = getPassingJobIds(filterChain);
+
+    const facetCounts = {};
+    facetDefinitions.forEach(({ key }) => {
+      facetCounts[key] = new Map();
+    });
+
+    const matchingJobs = [];
+    allJobs.forEach((job) => {
+      let failedFilterCount = 0;
+      let failedFilterKey = null;
+      filterChain.forEach(({ key }, index) => {
+        const passingIds = passingJobIds[index];
+        if (passingIds && !passingIds.has(job.id)) {
+          failedFilterCount++;
+          failedFilterKey = key;
+        }
+      });
+
+      if (failedFilterCount === 0) matchingJobs.push(job);
+      if (failedFilterCount > 1) return;
+
+      facetDefinitions.forEach(({ key, getValues, excludeOwnFilter }) => {
+        const isCounted =
+          failedFilterCount === 0 ||
+          (excludeOwnFilter && failedFilterKey === key);
+        if (!isCounted) return;
+
+        const counts = facetCounts[key];
+        getValues(job).forEach((value) => {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+    });
+
+    return { matchingJobs, facetCounts };
+  };
+
+  // Function to update a dropdown's option labels and states with facet counts
+  const updateDropdownFacetCounts = (select, counts) => {
+    Array.from(select.options).forEach((option) => {
+      if (!option.value) return; // Skip the "All" option
+
+      const count = counts.get(option.value) || 0;
+      option.textContent = `${option.value} (${count})`;
+      option.disabled = count === 0 && option.value !== select.value;
+    });
+  };
+
+  // Function to update a checkbox group's labels and states with facet counts
+  const updateCheckboxFacetCounts = (group, counts, disableEmpty = true) => {
+    group.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+      const count = counts.get(checkbox.value) || 0;
+      const label = checkbox.closest(".checkbox-item");
+      label.querySelector(".facet-count").textContent = `(${count})`;
+
+      // Checked boxes stay enabled so they can always be unchecked
+      checkbox.disabled = disableEmpty && count === 0 && !checkbox.checked;
+      label.classList.toggle("is-disabled", checkbox.disabled);
+    });
+  };
+
+  // Function to update every filter control with the latest facet counts
+  const updateFacetCounts = (facetCounts) => {
+    updateDropdownFacetCounts(getElement("role-filter"), facetCounts.role);
+    updateCheckboxFacetCounts(
+      getElement("technologies-filter"),
+      facetCounts.technologies,
+      facetDefinitions.find(({ key }) => key === "technologies").disableEmpty
+    );
+    updateCheckboxFacetCounts(getElement("type-filter"), facetCounts.types);
+    updateCheckboxFacetCounts(
+      getElement("location-filter"),
+      facetCounts.location
+    );
+    updateLocationFilterAvailability();
+    updateDropdownFacetCounts(
+      getElement("experience-filter"),
+      facetCounts.experience
+    );
+    renderCTCHistogram(facetCounts.ctc);
+  };
+
+  // Function to get currently displayed job IDs from the card cache
+  // Note: We use the rendered cards instead of displayedJobs state because this function
+  // is called during incremental updates BEFORE displayedJobs is updated with new state.
+  // We need to know what's actually in the DOM right now to calculate the difference.
+  const getCurrentlyDisplayedJobIds = () => {
+    // Cards animating out are on their way out and no longer count as displayed
+    return Array.from(jobCardElements.keys()).filter((jobId) =>
+      getJobCardElement(jobId)
+    );
+  };
+
+  // Function to calculate which jobs need to be added/removed for incremental updates
+  // Set lookups keep this linear in the number of displayed and new jobs.
+  const calculateJobChanges = (currentJobIds, newJobs) => {
+    const currentJobIdSet = new Set(currentJobIds);
+    const newJobIds = new Set(newJobs.map((job) => job.id));
+
+    // Jobs to remove: currently displayed but not in new list
+    const jobsToRemove = currentJobIds.filter((id) => !newJobIds.has(id));
+
+    // Jobs to add: in new list but not currently displayed
+    const jobsToAdd = newJobs.filter((job) => !currentJobIdSet.has(job.id));
+
+    return { jobsToRemove, jobsToAdd };
+  };
+
+  // Function to create a job card element and add it to the card cache
+  const createCachedJobCard = (job) => {
+    const cardElement = createJobCard(job).querySelector(".job-card");
+    jobCardElements.set(job.id, cardElement);
+    return cardElement;
+  };
+
+  // Function to insert the cards of new jobs among the rendered ones, in result order
+  // Walks the jobs backwards, so each run of new cards is inserted in one
+  // fragment before the next card that is already in the DOM.
+  const insertJobCards = (container, jobs, jobsToAdd) => {
+    const newJobIds = new Set(jobsToAdd.map((job) => job.id));
+    const newCards = new Map();
+
+    jobsToAdd.forEach((job, addIndex) => {
+      const insertedCard = createCachedJobCard(job);
+      newCards.set(job.id, insertedCard);
+
+      // Trigger animation with staggered delay
       setTimeout(() => {
-        if (cardElement) {
-          // Use different animation for initial load vs lazy load
-          if (append) {
-            cardElement.classList.add("animate-in-scale");
-          } else {
-            cardElement.classList.add("animate-in");
-          }
+        insertedCard.classList.add("animate-in");
+      }, addIndex * 100);
+    });
+
+    let insertBeforeElement = null;
+    let fragment = document.createDocumentFragment();
+    for (let i = jobs.length - 1; i >= 0; i--) {
+      const jobId = jobs[i].id;
+      if (newJobIds.has(jobId)) {
+        fragment.prepend(newCards.get(jobId));
+        continue;
+      }
+
+      const existingCard = getJobCardElement(jobId);
+      if (!existingCard) continue;
+      if (fragment.hasChildNodes()) {
+        container.insertBefore(fragment, insertBeforeElement);
+        fragment = document.createDocumentFragment();
+      }
+      insertBeforeElement = existingCard;
+    }
+    container.insertBefore(fragment, insertBeforeElement);
+  };
+
+  // Function to render job cards with incremental updates
+  const renderJobBatch = (
+    jobs,
+    append = false,
+    useIncrementalUpdates = false
+  ) => {
+    const container = getElement("job-cards-container");
+
+    // Clear existing content if not appending and not using incremental updates
+    if (!append && !useIncrementalUpdates) {
+      clearJobCards(container);
+    }
+
+    // Show message if no jobs found and not appending
+    if (jobs.length === 0 && !append) {
+      const noResultsTemplate = getTemplate("no-results-template");
+      const noResultsEl = noResultsTemplate.content.cloneNode(true);
+      container.appendChild(noResultsEl);
+      updateRovingTabIndex();
+      return;
+    }
+
+    // The table view and grouped results reconcile their sections instead
+    if (usesJobGroups()) {
+      renderJobGroups(append);
+      return;
+    }
+
+    // Handle incremental updates
+    if (useIncrementalUpdates && !append) {
+      const currentJobIds = getCurrentlyDisplayedJobIds();
+      const { jobsToRemove, jobsToAdd } = calculateJobChanges(
+        currentJobIds,
+        jobs
+      );
+
+      // Record card positions before any DOM change, for the move animation
+      const previousPositions = getJobCardPositions();
+
+      // Remove jobs that should no longer be displayed
+      jobsToRemove.forEach((jobId) => {
+        const cardToRemove = getJobCardElement(jobId);
+        jobCardElements.delete(jobId);
+        if (cardToRemove) {
+          cardToRemove.tabIndex = -1; // Leaves the tab sequence right away
+          cardToRemove.classList.add("animate-out");
+          setTimeout(() => {
+            if (cardToRemove.parentNode) {
+              cardToRemove.remove();
+            }
+          }, 300); // Match CSS animation duration
+        }
+      });
+
+      // Add new jobs in the correct order
+      if (jobsToAdd.length > 0) insertJobCards(container, jobs, jobsToAdd);
+
+      // Move cards that stay on the page into the new order
+      reorderJobCards(container, jobs);
+      animateJobCardMoves(previousPositions);
+      updateRovingTabIndex();
+
+      return;
+    }
+
+    // Original logic for non-incremental updates (lazy loading)
+    // Cards are collected in a fragment, so the batch is appended in one DOM write.
+    const fragment = document.createDocumentFragment();
+    jobs.forEach((job, index) => {
+      const cardElement = createCachedJobCard(job);
+      fragment.appendChild(cardElement);
+
+      // Trigger animation with staggered delay
+      setTimeout(() => {
+        // Use different animation for initial load vs lazy load
+        if (append) {
+          cardElement.classList.add("animate-in-scale");
+        } else {
+          cardElement.classList.add("animate-in");
         }
       }, index * 100); // 100ms delay between each card
     });
+    container.appendChild(fragment);
+    updateRovingTabIndex();
+  };
+
+  // Function to check whether results render in group sections (table view or grouped)
+  const usesJobGroups = () =>
+    resultsView.view === "table" || resultsView.groupBy !== "";
+
+  // Function to get the group value of a job, "" when results aren't grouped
+  const getJobGroupKey = (job) =>
+    resultsView.groupBy ? job[resultsView.groupBy] : "";
+
+  // Function to order results group by group, keeping the sort order within groups
+  // Lazy loading then fills the groups one after the other.
+  const groupJobs = (jobs) => {
+    if (!resultsView.groupBy) return jobs;
+    return [...jobs].sort((a, b) =>
+      getJobGroupKey(a).localeCompare(getJobGroupKey(b))
+    );
+  };
+
+  // Function to get the job count and CTC range of every group, over all results
+  const getJobGroupSummaries = () => {
+    const summaries = new Map();
+    filteredJobs.forEach((job) => {
+      const key = getJobGroupKey(job);
+      const summary = summaries.get(key);
+      if (summary) {
+        summary.count++;
+        summary.min = Math.min(summary.min, job.ctc);
+        summary.max = Math.max(summary.max, job.ctc);
+      } else {
+        summaries.set(key, { count: 1, min: job.ctc, max: job.ctc });
+      }
+    });
+    return summaries;
+  };
+
+  // Function to show or hide the content of a group section
+  const setJobGroupCollapsed = (section, isCollapsed) => {
+    section.classList.toggle("is-collapsed", isCollapsed);
+    section
+      .querySelector(".job-group-toggle")
+      .setAttribute("aria-expanded", !isCollapsed);
+    section.querySelector(".job-group-content").hidden = isCollapsed;
+  };
+
+  // Function to create a group section with a card grid or a table for its jobs
+  const createJobGroup = (key) => {
+    const section = getTemplate("job-group-template")
+      .content.cloneNode(true)
+      .querySelector(".job-group");
+    section.setAttribute("data-group", key);
+    section.querySelector(".job-group-heading").hidden = !resultsView.groupBy;
+    section.querySelector(".job-group-name").textContent = key;
+
+    const itemsTemplate = getTemplate(
+      resultsView.view === "table"
+        ? "job-table-template"
+        : "job-group-cards-template"
+    );
+    section
+      .querySelector(".job-group-content")
+      .appendChild(itemsTemplate.content.cloneNode(true));
+
+    setJobGroupCollapsed(section, collapsedJobGroups.has(key));
+    return section;
+  };
+
+  // Function to update the job counts and CTC ranges in the group headings
+  const updateJobGroupHeadings = () => {
+    const summaries = getJobGroupSummaries();
+    jobGroupElements.forEach((section, key) => {
+      const summary = summaries.get(key);
+      if (!summary) return; // Leaving with the next render
+      const jobLabel = summary.count === 1 ? "job" : "jobs";
+      section.querySelector(
+        ".job-group-count"
+      ).textContent = `${summary.count} ${jobLabel}`;
+      section.querySelector(".job-group-ctc").textContent = formatSalaryRange(
+        summary.min,
+        summary.max
+      );
+    });
+  };
+
+  // Function to mark the table column the results are sorted by (aria-sort)
+  const updateJobTableSortState = () => {
+    getElement("job-cards-container")
+      .querySelectorAll(".job-table-sort")
+      .forEach((button) => {
+        const cycle = TABLE_SORT_CYCLES[button.getAttribute("data-sort")];
+        let sortState = "none";
+        if (cycle.includes(currentSort)) {
+          sortState = currentSort === "ctc-desc" ? "descending" : "ascending";
+        }
+        button.closest("th").setAttribute("aria-sort", sortState);
+      });
+  };
+
+  // Function to render the displayed jobs in group sections
+  // Sections and cards are kept across renders, like the incremental updates of
+  // the card grid: cards of jobs no longer displayed animate out, new cards
+  // animate in and the others only move when they are out of place.
+  const renderJobGroups = (append) => {
+    const container = getElement("job-cards-container");
+
+    // Remove the cards of jobs that are no longer displayed
+    const displayedJobIds = new Set(displayedJobs.map((job) => job.id));
+    getCurrentlyDisplayedJobIds().forEach((jobId) => {
+      if (displayedJobIds.has(jobId)) return;
+      const cardToRemove = getJobCardElement(jobId);
+      jobCardElements.delete(jobId);
+      cardToRemove.tabIndex = -1; // Leaves the tab sequence right away
+      cardToRemove.classList.add("animate-out");
+      setTimeout(() => cardToRemove.remove(), 300); // Match CSS animation duration
+    });
+
+    // Split the displayed jobs by group, they are already ordered group by group
+    const groups = new Map();
+    displayedJobs.forEach((job) => {
+      const key = getJobGroupKey(job);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(job);
+    });
+
+    // Drop the sections of groups without displayed jobs
+    jobGroupElements.forEach((section, key) => {
+      if (groups.has(key)) return;
+      section.remove();
+      jobGroupElements.delete(key);
+    });
+
+    let previousSection = null;
+    let newCardCount = 0;
+    groups.forEach((jobs, key) => {
+      // Place the group's section in order, creating it if it is new
+      let section = jobGroupElements.get(key);
+      if (!section) {
+        section = createJobGroup(key);
+        jobGroupElements.set(key, section);
+      }
+      const expectedSection = previousSection
+        ? previousSection.nextElementSibling
+        : container.firstElementChild;
+      if (expectedSection !== section) {
+        if (previousSection) previousSection.after(section);
+        else container.prepend(section);
+      }
+      previousSection = section;
+
+      // Add the group's new cards, then move every card into the group's order
+      const items = section.querySelector(".job-group-items");
+      const fragment = document.createDocumentFragment();
+      jobs.forEach((job) => {
+        if (getJobCardElement(job.id)) return;
+        const cardElement = createCachedJobCard(job);
+        fragment.appendChild(cardElement);
+
+        // Trigger animation with staggered delay
+        setTimeout(() => {
+          cardElement.classList.add(append ? "animate-in-scale" : "animate-in");
+        }, newCardCount++ * 100);
+      });
+      items.appendChild(fragment);
+      reorderJobCards(items, jobs);
+    });
+
+    updateJobGroupHeadings();
+    updateJobTableSortState();
+    updateRovingTabIndex();
+  };
+
+  // Function to get the job count summary message
+  const getJobCountMessage = () => {
+    if (filteredJobs.length === 0) return "No jobs match the selected filters";
+    const jobLabel = filteredJobs.length === 1 ? "job" : "jobs";
+    return `Showing ${displayedJobs.length} of ${filteredJobs.length} ${jobLabel}`;
+  };
+
+  // Function to announce the job count through the #job-count live region
+  // Announcements are throttled (leading and trailing) so that dragging the CTC
+  // sliders doesn't flood assistive technology with intermediate counts.
+  const announceJobCount = (message) => {
+    pendingJobCountMessage = message;
+    if (jobCountAnnounceTimeout) return;
+
+    const jobCount = getElement("job-count");
+    jobCount.textContent = message;
+
+    jobCountAnnounceTimeout = setTimeout(() => {
+      jobCountAnnounceTimeout = null;
+      if (pendingJobCountMessage !== jobCount.textContent) {
+        announceJobCount(pendingJobCountMessage);
+      }
+    }, JOB_COUNT_ANNOUNCE_INTERVAL);
+  };
+
+  // Function to update the visible job count summary and announce it
+  const updateJobCount = () => {
+    const message = getJobCountMessage();
+    getElement("job-count-summary").textContent = message;
+    announceJobCount(message);
+  };
+
+  // Function to load next batch of jobs
+  // The data is already in memory, so the batch renders right away.
+  const loadNextBatch = () => {
+    if (isVirtualized || displayedJobs.length >= filteredJobs.length) {
+      return; // Virtual grid renders on scroll, or no more jobs to load
+    }
+
+    const startIndex = displayedJobs.length;
+    const batchJobs = filteredJobs.slice(
+      startIndex,
+      startIndex + INCREMENTAL_BATCH_SIZE
+    );
+
+    displayedJobs.push(...batchJobs);
+    renderJobBatch(batchJobs, true);
+    updateJobCount();
+
+    // Keep loading while the sentinel is still in view (e.g. on tall screens)
+    refreshLazyLoadObserver();
+  };
+
+  // Function to start observing the sentinel after the grid for lazy loading
+  const initializeLazyLoadObserver = () => {
+    lazyLoadObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadNextBatch();
+      },
+      { rootMargin: LAZY_LOAD_MARGIN }
+    );
+    lazyLoadObserver.observe(getElement("job-cards-sentinel"));
+  };
+
+  // Function to re-check the sentinel after the grid changed size
+  // The observer only reports changes, and a sentinel that stays in view after a
+  // batch or a filter change wouldn't trigger another load. Observing it again
+  // makes the observer report its current state.
+  const refreshLazyLoadObserver = () => {
+    if (!lazyLoadObserver) return;
+    const sentinel = getElement("job-cards-sentinel");
+    lazyLoadObserver.unobserve(sentinel);
+    lazyLoadObserver.observe(sentinel);
+  };
+
+  // Function to check whether the current results should render in a virtual grid
+  // Group sections always render with lazy loading.
+  const shouldVirtualize = () => {
+    if (filteredJobs.length === 0 || virtualizeMode === false) return false;
+    if (usesJobGroups()) return false;
+    return (
+      virtualizeMode === true || filteredJobs.length > VIRTUALIZATION_THRESHOLD
+    );
+  };
+
+  // Function to get the number of columns the responsive grid currently resolves to
+  const getGridColumnCount = (container) => {
+    const columns = window.getComputedStyle(container).gridTemplateColumns;
+    if (!columns || columns === "none") return 1;
+    return Math.max(columns.trim().split(/\s+/).length, 1);
+  };
+
+  // Function to get the distance between the tops of two virtual rows
+  const getVirtualRowStride = () => virtualRowHeight + JOB_CARD_GAP;
+
+  // Function to grow the virtual row height to fit the tallest of the given cards
+  // Rows all share one height, so positions stay computable without measuring
+  // every row. Returns whether the height changed.
+  const fitVirtualRowHeight = (container, cards) => {
+    const tallestCard = Math.max(
+      0,
+      ...Array.from(cards, (card) => card.scrollHeight)
+    );
+    if (tallestCard <= virtualRowHeight) return false;
+
+    virtualRowHeight = tallestCard;
+    container.style.setProperty("--virtual-row-height", `${tallestCard}px`);
+    return true;
+  };
+
+  // Function to switch the grid to virtual rendering
+  const enterVirtualMode = () => {
+    const container = getElement("job-cards-container");
+    clearJobCards(container); // Cards of the lazy grid are replaced by the window
+    container.classList.add("job-cards-virtual");
+    virtualRowHeight = MIN_JOB_CARD_HEIGHT;
+    container.style.removeProperty("--virtual-row-height");
+    virtualCards = new Map();
+    isVirtualized = true;
+  };
+
+  // Function to switch the grid back to lazy batch rendering
+  const exitVirtualMode = () => {
+    const container = getElement("job-cards-container");
+    clearJobCards(container); // Next render starts from the initial batch
+    container.classList.remove("job-cards-virtual");
+    container.style.paddingTop = "";
+    container.style.paddingBottom = "";
+    virtualCards = new Map();
+    isVirtualized = false;
+
+    if (virtualFrameRequest) {
+      window.cancelAnimationFrame(virtualFrameRequest);
+      virtualFrameRequest = null;
+    }
+  };
+
+  // Function to render the rows of the virtual grid that are in or near the viewport
+  // Rows share one height in virtual mode (the tallest card rendered so far),
+  // so row positions are computed rather than measured, and the rows outside
+  // the window are replaced by container padding to keep the scroll height
+  // (and scrollbar) accurate.
+  const renderVirtualWindow = () => {
+    virtualFrameRequest = null;
+    if (!isVirtualized) return;
+
+    const container = getElement("job-cards-container");
+    const columnCount = getGridColumnCount(container);
+    const rowStride = getVirtualRowStride();
+    const totalRows = Math.ceil(filteredJobs.length / columnCount);
+
+    // Rows in the viewport, plus a buffer so Tab and small scrolls never hit an edge
+    const containerTop = container.getBoundingClientRect().top;
+    const firstVisibleRow = Math.floor(-containerTop / rowStride);
+    const visibleRowCount = Math.ceil(window.innerHeight / rowStride) + 1;
+    const startRow = Math.min(
+      Math.max(firstVisibleRow - VIRTUAL_BUFFER_ROWS, 0),
+      Math.max(totalRows - 1, 0)
+    );
+    const endRow = Math.min(
+      Math.max(firstVisibleRow + visibleRowCount + VIRTUAL_BUFFER_ROWS, 0),
+      totalRows
+    );
+
+    // Reuse cards still in the window and create the ones entering it
+    const startIndex = startRow * columnCount;
+    const endIndex = Math.min(
+      Math.max(endRow, startRow + 1) * columnCount,
+      filteredJobs.length
+    );
+    const nextCards = new Map();
+    for (let i = startIndex; i < endIndex; i++) {
+      const job = filteredJobs[i];
+      let card = virtualCards.get(job.id);
+      if (!card) {
+        card = createJobCard(job).querySelector(".job-card");
+      }
+      card.classList.remove("visually-hidden"); // Back from outside the window
+      card.setAttribute("aria-posinset", i + 1);
+      card.setAttribute("aria-setsize", filteredJobs.length);
+      nextCards.set(job.id, card);
+    }
+
+    // Drop the cards that left the window, except the focused one: removing it
+    // would send focus back to <body>, so it stays in the document (hidden and out
+    // of the grid) until focus moves on or it scrolls back into the window
+    let focusedCard = null;
+    let focusedJobIndex = -1;
+    virtualCards.forEach((card, jobId) => {
+      if (nextCards.has(jobId)) return;
+      const jobIndex = card.contains(document.activeElement)
+        ? filteredJobs.findIndex((job) => job.id === jobId)
+        : -1;
+      if (jobIndex === -1) {
+        card.remove();
+        return;
+      }
+      focusedCard = card;
+      focusedJobIndex = jobIndex;
+    });
+
+    // Place the cards in order, only moving the ones that are out of place (never
+    // the focused card, moving it would blur it): after the focused card when it
+    // is above the window, before it when it is below
+    let previousCard = focusedJobIndex < startIndex ? focusedCard : null;
+    nextCards.forEach((card) => {
+      const expectedCard = previousCard
+        ? previousCard.nextElementSibling
+        : container.firstElementChild;
+      if (expectedCard !== card) {
+        if (previousCard) previousCard.after(card);
+        else container.prepend(card);
+      }
+      previousCard = card;
+    });
+
+    virtualCards = new Map(nextCards);
+    if (focusedCard) {
+      focusedCard.classList.add("visually-hidden");
+      virtualCards.set(filteredJobs[focusedJobIndex].id, focusedCard);
+    }
+    container.style.paddingTop = `${startRow * rowStride}px`;
+    container.style.paddingBottom = `${
+      Math.max(totalRows - Math.max(endRow, startRow + 1), 0) * rowStride
+    }px`;
+    updateRovingTabIndex();
+
+    // Taller cards than the rows fit make every row grow, then the window is
+    // laid out again with the new row positions
+    if (fitVirtualRowHeight(container, nextCards.values())) {
+      scheduleVirtualWindowRender();
+    }
+  };
+
+  // Function to schedule a virtual window update on the next animation frame
+  const scheduleVirtualWindowRender = () => {
+    if (!isVirtualized || virtualFrameRequest) return;
+    virtualFrameRequest = window.requestAnimationFrame(renderVirtualWindow);
+  };
+
+  // Function to reset and render initial batch
+  const renderInitialBatch = () => {
+    displayedJobs = [];
+
+    if (filteredJobs.length === 0) {
+      renderJobBatch([], false);
+      return;
+    }
+
+    const initialBatch = filteredJobs.slice(0, INITIAL_BATCH_SIZE);
+    displayedJobs = [...initialBatch];
+    renderJobBatch(initialBatch, false);
+  };
+
+  // Function to render batch with incremental updates
+  const renderIncrementalBatch = () => {
+    if (filteredJobs.length === 0) {
+      // Handle empty results with incremental updates
+      const currentJobIds = getCurrentlyDisplayedJobIds();
+      if (currentJobIds.length > 0 && !usesJobGroups()) {
+        // Remove all existing cards
+        currentJobIds.forEach((jobId) => {
+          const cardToRemove = getJobCardElement(jobId);
+          jobCardElements.delete(jobId);
+          if (cardToRemove) {
+            cardToRemove.classList.add("animate-out");
+            setTimeout(() => {
+              if (cardToRemove.parentNode) {
+                cardToRemove.remove();
+              }
+            }, 300);
+          }
+        });
+
+        // Show no results message after animation
+        setTimeout(() => {
+          const container = getElement("job-cards-container");
+          if (container.children.length === 0) {
+            const noResultsTemplate = getTemplate("no-results-template");
+            const noResultsEl = noResultsTemplate.content.cloneNode(true);
+            container.appendChild(noResultsEl);
+          }
+        }, 350);
+      } else {
+        renderJobBatch([], false);
+      }
+
+      displayedJobs = [];
+      return;
+    }
+
+    const initialBatch = filteredJobs.slice(0, INCREMENTAL_BATCH_SIZE);
+    displayedJobs = [...initialBatch];
+    renderJobBatch(initialBatch, false, true); // Use incremental updates
+  };
+
+  // Function to get a snapshot of the current filter state
+  const getFilterState = () => ({
+    role: currentRoleFilter,
+    technologies: [...currentTechnologiesFilter],
+    technologiesMode: currentTechnologiesMatchMode,
+    types: [...currentTypeFilter],
+    locations: [...currentLocationFilter],
+    remote: currentRemoteFilter,
+    experience: currentExperienceFilter,
+    experienceYears: currentExperienceYearsFilter,
+    ctc: { ...currentCTCFilter },
+    search: currentSearchFilter,
+    shortlistedOnly: currentShortlistedOnlyFilter,
+    sort: currentSort,
+  });
+
+  // Function to get the default (unfiltered) filter state
+  const getDefaultFilterState = () => ({
+    role: "",
+    technologies: [],
+    technologiesMode: "all",
+    types: [],
+    locations: [],
+    remote: "include",
+    experience: "",
+    experienceYears: null,
+    ctc: { ...filterOptions.ctcRange },
+    search: "",
+    shortlistedOnly: false,
+    sort: "",
+  });
+
+  // Function to serialize a filter state into URL query parameters
+  // Default values are omitted so an unfiltered page keeps a clean URL.
+  const serializeFilterState = (state) => {
+    const params = new URLSearchParams();
+    const { min, max } = filterOptions.ctcRange;
+
+    if (state.role) params.set("role", state.role);
+    state.technologies.forEach((tech) => params.append("tech", tech));
+    if (state.technologiesMode !== "all") {
+      params.set("techMode", state.technologiesMode);
+    }
+    state.types.forEach((type) => params.append("type", type));
+    state.locations.forEach((location) => params.append("location", location));
+    if (state.remote !== "include") params.set("remote", state.remote);
+    if (state.experience) params.set("experience", state.experience);
+    if (state.experienceYears !== null) {
+      params.set("years", state.experienceYears);
+    }
+    if (state.ctc.min !== min) params.set("ctcMin", state.ctc.min);
+    if (state.ctc.max !== max) params.set("ctcMax", state.ctc.max);
+    if (state.search) params.set("q", state.search);
+    if (state.shortlistedOnly) params.set("shortlisted", "1");
+    if (state.sort) params.set("sort", state.sort);
+
+    return params;
+  };
+
+  // Function to parse a filter state from URL query parameters
+  // Unknown or malformed values are dropped and fall back to their defaults,
+  // so a hand-edited or outdated link can never break the page.
+  const parseFilterState = (search) => {
+    const params = new URLSearchParams(search);
+    const state = getDefaultFilterState();
+    const { min, max } = filterOptions.ctcRange;
+
+    const role = params.get("role");
+    if (filterOptions.roles.includes(role)) state.role = role;
+
+    const technologies = params
+      .getAll("tech")
+      .filter((tech) => filterOptions.technologies.includes(tech));
+    state.technologies = [...new Set(technologies)];
+
+    const technologiesMode = params.get("techMode");
+    if (TECHNOLOGIES_MATCH_MODES.includes(technologiesMode)) {
+      state.technologiesMode = technologiesMode;
+    }
+
+    const types = params
+      .getAll("type")
+      .filter((type) => filterOptions.types.includes(type));
+    state.types = [...new Set(types)];
+
+    const locations = params
+      .getAll("location")
+      .filter((location) => filterOptions.locations.includes(location));
+    state.locations = [...new Set(locations)];
+
+    const remote = params.get("remote");
+    if (REMOTE_FILTER_MODES.includes(remote)) state.remote = remote;
+
+    const experience = params.get("experience");
+    if (filterOptions.experienceLevels.includes(experience)) {
+      state.experience = experience;
+    }
+
+    const experienceYears = parseExperienceYears(params.get("years"));
+    if (experienceYears !== null) state.experienceYears = experienceYears;
+
+    // Clamp CTC values to the available range and keep min <= max
+    // (bounds set in another display unit are fractional LPA values)
+    const parseCTC = (value, fallback) => {
+      const parsed = parseFloat(value);
+      if (Number.isNaN(parsed)) return fallback;
+      return Math.min(Math.max(parsed, min), max);
+    };
+    const ctcMin = parseCTC(params.get("ctcMin"), min);
+    const ctcMax = parseCTC(params.get("ctcMax"), max);
+    state.ctc = ctcMin <= ctcMax ? { min: ctcMin, max: ctcMax } : { min, max };
+
+    const query = params.get("q");
+    if (query) state.search = query.trim();
+
+    state.shortlistedOnly = params.get("shortlisted") === "1";
+
+    const sort = params.get("sort");
+    if (Object.hasOwn(sortComparators, sort)) state.sort = sort;
+
+    return state;
+  };
+
+  // Function to apply a filter state to the module state and filter controls
+  const applyFilterState = (state) => {
+    currentRoleFilter = state.role;
+    currentTechnologiesFilter = [...state.technologies];
+    currentTechnologiesMatchMode = state.technologiesMode;
+    currentTypeFilter = [...state.types];
+    currentLocationFilter = [...state.locations];
+    currentRemoteFilter = state.remote;
+    currentExperienceFilter = state.experience;
+    currentExperienceYearsFilter = state.experienceYears;
+    currentCTCFilter = { ...state.ctc };
+    currentSearchFilter = state.search;
+    currentShortlistedOnlyFilter = state.shortlistedOnly;
+    currentSort = state.sort;
+
+    clearTimeout(searchDebounceTimeout);
+    getElement("search-filter").value = state.search;
+    getElement("shortlisted-only").checked = state.shortlistedOnly;
+    getElement("sort-select").value = state.sort;
+
+    getElement("role-filter").value = state.role;
+    getElement("experience-filter").value = state.experience;
+    getElement("experience-years").value =
+      state.experienceYears === null ? "" : state.experienceYears;
+
+    const technologiesFilter = getElement("technologies-filter");
+    technologiesFilter
+      .querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        checkbox.checked = state.technologies.includes(checkbox.value);
+      });
+
+    getRadioGroupRadios("technologies-match-mode").forEach((radio) => {
+      radio.checked = radio.value === state.technologiesMode;
+    });
+
+    const typeFilter = getElement("type-filter");
+    typeFilter
+      .querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        checkbox.checked = state.types.includes(checkbox.value);
+      });
+
+    const locationFilter = getElement("location-filter");
+    locationFilter
+      .querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        checkbox.checked = state.locations.includes(checkbox.value);
+      });
+
+    getRadioGroupRadios("remote-mode").forEach((radio) => {
+      radio.checked = radio.value === state.remote;
+    });
+
+    getElement("location-search").value = "";
+    filterLocationOptions();
+    updateLocationFilterAvailability();
+
+    updateCTCControls();
+  };
+
+  // Function to describe the active filters of a state as removable chips
+  // Each chip knows how to derive the state without its own filter.
+  const getActiveFilterChips = (state) => {
+    const defaults = getDefaultFilterState();
+    const chips = [];
+
+    if (state.search) {
+      chips.push({
+        label: `Search: "${state.search}"`,
+        remove: (s) => ({ ...s, search: defaults.search }),
+      });
+    }
+    if (state.role) {
+      chips.push({
+        label: `Role: ${state.role}`,
+        remove: (s) => ({ ...s, role: defaults.role }),
+      });
+    }
+    const technologyChipPrefixes = { all: "", any: "Any: ", none: "Not: " };
+    state.technologies.forEach((tech) => {
+      chips.push({
+        label: `${technologyChipPrefixes[state.technologiesMode]}${tech}`,
+        remove: (s) => ({
+          ...s,
+          technologies: s.technologies.filter((t) => t !== tech),
+        }),
+      });
+    });
+    state.types.forEach((type) => {
+      chips.push({
+        label: type,
+        remove: (s) => ({ ...s, types: s.types.filter((t) => t !== type) }),
+      });
+    });
+    state.locations.forEach((location) => {
+      chips.push({
+        label: location,
+        remove: (s) => ({
+          ...s,
+          locations: s.locations.filter((l) => l !== location),
+        }),
+      });
+    });
+    const remoteChipLabels = {
+      only: "Remote only",
+      exclude: "Excluding remote",
+    };
+    if (state.remote !== defaults.remote) {
+      chips.push({
+        label: remoteChipLabels[state.remote],
+        remove: (s) => ({ ...s, remote: defaults.remote }),
+      });
+    }
+    if (state.experience) {
+      chips.push({
+        label: `Experience: ${state.experience}`,
+        remove: (s) => ({ ...s, experience: defaults.experience }),
+      });
+    }
+    if (state.experienceYears !== null) {
+      const yearLabel = state.experienceYears === 1 ? "year" : "years";
+      chips.push({
+        label: `I have ${state.experienceYears} ${yearLabel}`,
+        remove: (s) => ({ ...s, experienceYears: defaults.experienceYears }),
+      });
+    }
+    if (
+      state.ctc.min !== defaults.ctc.min ||
+      state.ctc.max !== defaults.ctc.max
+    ) {
+      chips.push({
+        label: formatSalaryRange(state.ctc.min, state.ctc.max),
+        remove: (s) => ({ ...s, ctc: { ...defaults.ctc } }),
+      });
+    }
+
+    if (state.shortlistedOnly) {
+      chips.push({
+        label: "Shortlisted only",
+        remove: (s) => ({ ...s, shortlistedOnly: defaults.shortlistedOnly }),
+      });
+    }
+
+    return chips;
+  };
+
+  // Function to render the active filter chips and the clear button state
+  const renderActiveFilters = () => {
+    activeFilterChips = getActiveFilterChips(getFilterState());
+
+    const activeFilters = getElement("active-filters");
+    activeFilters.innerHTML = "";
+
+    activeFilterChips.forEach((chip, index) => {
+      const chipButton = document.createElement("button");
+      chipButton.type = "button";
+      chipButton.className = "filter-chip";
+      chipButton.setAttribute("data-chip-index", index);
+      chipButton.setAttribute("aria-label", `Remove filter: ${chip.label}`);
+      chipButton.textContent = chip.label;
+
+      const removeIcon = document.createElement("span");
+      removeIcon.className = "filter-chip-remove";
+      removeIcon.setAttribute("aria-hidden", "true");
+      removeIcon.textContent = "×";
+      chipButton.appendChild(removeIcon);
+
+      activeFilters.appendChild(chipButton);
+    });
+
+    const hasActiveFilters = activeFilterChips.length > 0;
+    activeFilters.hidden = !hasActiveFilters;
+    getElement("clear-filters").disabled = !hasActiveFilters;
+  };
+
+  // Function to schedule writing the current filter state to the URL
+  // Updates are debounced so dragging a slider creates a single history entry.
+  const scheduleURLUpdate = () => {
+    clearTimeout(urlUpdateTimeout);
+    urlUpdateTimeout = setTimeout(writeURLUpdate, URL_UPDATE_DELAY);
+  };
+
+  // Function to write the current filter state to the URL right away
+  const writeURLUpdate = () => {
+    clearTimeout(urlUpdateTimeout);
+    urlUpdateTimeout = null;
+
+    // Keep unrelated parameters (e.g. the data source) and replace the filters
+    const params = new URLSearchParams(window.location.search);
+    FILTER_QUERY_PARAMS.forEach((key) => params.delete(key));
+    serializeFilterState(getFilterState()).forEach((value, key) => {
+      params.append(key, value);
+    });
+
+    const query = params.toString();
+    const search = query ? `?${query}` : "";
+    lastURLSearch = search;
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    window.history.pushState(null, "", url);
+  };
+
+  // Function to handle back/forward navigation between filter states
+  // Hash changes (the job detail route) fire popstate too, they leave the
+  // filters and a pending URL update alone.
+  const handlePopState = () => {
+    if (window.location.search === lastURLSearch) return;
+
+    lastURLSearch = window.location.search;
+    clearTimeout(urlUpdateTimeout);
+    urlUpdateTimeout = null;
+    applyFilterState(parseFilterState(window.location.search));
+    updateResults({ syncURL: false });
+  };
+
+  // Function to build the filter chain for a filter state
+  // Indexed filters have a lookup, the others a filter function over a job array.
+  const buildFilterChain = (state) => [
+    { key: "role", lookup: lookupJobsByRole, params: state.role },
+    {
+      key: "technologies",
+      lookup: lookupJobsByTechnologies,
+      params: {
+        technologies: state.technologies,
+        mode: state.technologiesMode,
+      },
+    },
+    { key: "types", lookup: lookupJobsByType, params: state.types },
+    {
+      key: "location",
+      lookup: lookupJobsByLocation,
+      params: { locations: state.locations, remote: state.remote },
+    },
+    {
+      key: "experience",
+      lookup: lookupJobsByExperience,
+      params: state.experience,
+    },
+    {
+      key: "experienceYears",
+      lookup: lookupJobsByExperienceYears,
+      params: state.experienceYears,
+    },
+    { key: "ctc", lookup: lookupJobsByCTC, params: state.ctc },
+    { key: "search", filter: filterJobsBySearch, params: state.search },
+    {
+      key: "shortlist",
+      filter: filterJobsByShortlist,
+      params: state.shortlistedOnly,
+    },
+    ...[...customFilters].map(([name, predicate]) => ({
+      key: `custom:${name}`,
+      filter: (jobs) => jobs.filter(predicate),
+    })),
+  ];
+
+  // Function to build the filter chain for a filter state with the reference
+  // filters in place of the index lookups, for tests.js
+  const buildReferenceFilterChain = (state) =>
+    buildFilterChain(state).map((entry) =>
+      referenceFilters[entry.key]
+        ? {
+            key: entry.key,
+            filter: referenceFilters[entry.key],
+            params: entry.params,
+          }
+        : entry
+    );
+
+  // Function to get all jobs matching a filter state (unsorted, in data order)
+  const getMatchingJobs = (state) => {
+    const activeJobIdSets = getPassingJobIds(buildFilterChain(state)).filter(
+      Boolean
+    );
+    if (activeJobIdSets.length === 0) return allJobs;
+
+    const matchingJobIds = intersectJobIdSets(activeJobIdSets);
+    return allJobs.filter((job) => matchingJobIds.has(job.id));
+  };
+
+  // Function to get the sorted results and facet counts of a filter state
+  const queryResults = (state) => {
+    const { matchingJobs, facetCounts } = applyFacetedFilters(
+      buildFilterChain(state)
+    );
+    return {
+      matchingJobs: sortJobs(matchingJobs, state.sort, state.technologies),
+      facetCounts,
+    };
+  };
+
+  // Function to update filtered results and render
+  // Renders right away, unless the filter worker answers the query.
+  const updateResults = ({ syncURL = true } = {}) => {
+    renderActiveFilters();
+    if (syncURL && isURLSyncEnabled) {
+      scheduleURLUpdate();
+    }
+    emitFilterChange();
+
+    if (filterWorker) {
+      requestWorkerResults(getFilterState())
+        .then((results) => {
+          // Dropped when a newer query was sent in the meantime
+          if (results) renderResults(results);
+        })
+        .catch((error) => {
+          // The worker failed and was disabled, answer on the main thread
+          if (!filterWorker) updateResults({ syncURL: false });
+          else console.error("Error filtering jobs:", error);
+        });
+      return;
+    }
+
+    renderResults(queryResults(getFilterState()));
+  };
+
+  // Function to render filtered results and facet counts
+  const renderResults = ({ matchingJobs, facetCounts }) => {
+    filteredJobs = groupJobs(matchingJobs);
+    updateFacetCounts(facetCounts);
+
+    if (shouldVirtualize()) {
+      // Large result sets: every job is reachable by scrolling the virtual grid
+      if (!isVirtualized) enterVirtualMode();
+      displayedJobs = filteredJobs;
+      renderVirtualWindow();
+    } else {
+      if (isVirtualized) exitVirtualMode();
+
+      // Check if this is the initial load (no jobs currently displayed)
+      const currentJobIds = getCurrentlyDisplayedJobIds();
+      const isInitialLoad = currentJobIds.length === 0;
+
+      if (isInitialLoad) {
+        // Use traditional rendering for initial load
+        renderInitialBatch();
+      } else {
+        // Use incremental updates for filter changes
+        renderIncrementalBatch();
+      }
+
+      // Fewer results may have brought the sentinel into view
+      refreshLazyLoadObserver();
+    }
+    updateJobCount();
+    updateExportButtons();
+
+    // Cards kept by incremental updates still carry the previous highlights
+    if (currentSearchFilter !== highlightedSearchFilter) {
+      refreshSearchHighlights();
+    }
+
+    emit("resultschange", { results: getResults(), total: allJobs.length });
+  };
+
+  // Function to show initial job data loader
+  const showInitialJobDataLoader = () => {
+    const container = getElement("job-cards-container");
+    clearJobCards(container); // Clear existing content
+    const initialLoadingTemplate = getTemplate("initial-loading-template");
+    const initialLoadingEl = initialLoadingTemplate.content.cloneNode(true);
+    container.appendChild(initialLoadingEl);
+  };
+
+  // Function to show error state, with a retry button when onRetry is given
+  const showError = (message, onRetry) => {
+    const container = getElement("job-cards-container");
+    clearJobCards(container); // Clear existing content
+    const errorTemplate = getTemplate("error-template");
+    const errorEl = errorTemplate.content.cloneNode(true);
+    errorEl.querySelector(".error-message").textContent = `Error: ${message}`;
+
+    const retryButton = errorEl.querySelector(".retry-button");
+    if (onRetry) {
+      retryButton.addEventListener("click", onRetry);
+    } else {
+      retryButton.remove();
+    }
+
+    container.appendChild(errorEl);
+  };
+
+  // Function to show the stale data banner when cached jobs are displayed
+  const showStaleDataBanner = (savedAt, onRetry) => {
+    const dataStatus = getElement("data-status");
+    dataStatus.innerHTML = ""; // Clear existing content
+    const staleDataTemplate = getTemplate("stale-data-template");
+    const staleDataEl = staleDataTemplate.content.cloneNode(true);
+
+    const savedAtLabel = new Date(savedAt).toLocaleString();
+    staleDataEl.querySelector(
+      ".stale-data-message"
+    ).textContent = `Live job listings couldn't be loaded. Showing saved listings from ${savedAtLabel}.`;
+    staleDataEl
+      .querySelector(".retry-button")
+      .addEventListener("click", onRetry);
+
+    dataStatus.appendChild(staleDataEl);
+  };
+
+  // Function to hide the stale data banner
+  const hideStaleDataBanner = () => {
+    getElement("data-status").innerHTML = "";
+  };
+
+  // Function to resolve the data source options
+  // Precedence: init() options, then the query parameter, then the
+  // data-jobs-url attribute on the job cards container, then DATA_URL.
+  const resolveDataSourceOptions = (options) => {
+    const params = new URLSearchParams(window.location.search);
+    const container = getElement("job-cards-container");
+
+    const dataUrl =
+      options.dataUrl ||
+      (isURLSyncEnabled && params.get(DATA_URL_QUERY_PARAM)) ||
+      container.getAttribute("data-jobs-url") ||
+      DATA_URL;
+
+    return { ...DEFAULT_DATA_SOURCE_OPTIONS, ...options, dataUrl };
+  };
+
+  // Function to fetch and parse JSON, aborting the request after a timeout
+  const fetchJSONWithTimeout = (url, timeout) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    return fetch(url, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) {
+          const error = new Error(
+            `Request failed with status ${response.status}`
+          );
+          error.status = response.status;
+          throw error;
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        if (error.name === "AbortError") {
+          throw new Error(`Request timed out after ${timeout}ms`);
+        }
+        throw error;
+      })
+      .finally(() => clearTimeout(timeoutId));
+  };
+
+  // Function to fetch JSON with exponential-backoff retries
+  // Client errors (4xx) won't succeed on retry, except timeouts and rate limits.
+  const fetchJSONWithRetry = (url, options, attempt = 0) =>
+    fetchJSONWithTimeout(url, options.requestTimeout).catch((error) => {
+      const isRetryable =
+        !error.status ||
+        error.status >= 500 ||
+        error.status === 408 ||
+        error.status === 429;
+      if (!isRetryable || attempt >= options.maxRetries) throw error;
+
+      const delay = options.retryDelay * 2 ** attempt;
+      console.warn(
+        `Retrying job data request in ${delay}ms (attempt ${attempt + 1} of ${
+          options.maxRetries
+        }):`,
+        error.message
+      );
+      return new Promise((resolve) => setTimeout(resolve, delay)).then(() =>
+        fetchJSONWithRetry(url, options, attempt + 1)
+      );
+    });
+
+  // Function to save the last-known-good job data
+  // Storage can be full or unavailable (e.g. private browsing), caching is best effort.
+  const saveCachedJobs = (url, data) => {
+    try {
+      const entry = { savedAt: Date.now(), data };
+      window.localStorage.setItem(
+        CACHE_KEY_PREFIX + url,
+        JSON.stringify(entry)
+      );
+    } catch (error) {
+      console.warn("Could not cache job data:", error);
+    }
+  };
+
+  // Function to load the last-known-good job data, or null if there is none
+  const loadCachedJobs = (url) => {
+    try {
+      const entry = JSON.parse(
+        window.localStorage.getItem(CACHE_KEY_PREFIX + url)
+      );
+      return entry && Array.isArray(entry.data) ? entry : null;
+    } catch (error) {
+      console.warn("Could not read cached job data:", error);
+      return null;
+    }
+  };
+
+  // Function to handle role filter change
+  const handleRoleFilterChange = (e) => {
+    currentRoleFilter = e.target.value;
+    updateResults();
+  };
+
+  // Function to handle technologies filter change
+  const handleTechnologiesFilterChange = (e) => {
+    // Get all checked technology checkboxes
+    const technologiesFilter = getElement("technologies-filter");
+    const checkedBoxes = technologiesFilter.querySelectorAll(
+      'input[type="checkbox"]:checked'
+    );
+
+    // Extract the values of checked checkboxes
+    currentTechnologiesFilter = Array.from(checkedBoxes).map(
+      (checkbox) => checkbox.value
+    );
+
+    // Update results with new filter
+    updateResults();
+  };
+
+  // Function to handle technologies match mode change
+  const handleTechnologiesMatchModeChange = (e) => {
+    currentTechnologiesMatchMode = e.target.value;
+    updateResults();
+  };
+
+  // Function to handle job type filter change
+  const handleTypeFilterChange = () => {
+    const typeFilter = getElement("type-filter");
+    const checkedBoxes = typeFilter.querySelectorAll(
+      'input[type="checkbox"]:checked'
+    );
+
+    currentTypeFilter = Array.from(checkedBoxes).map(
+      (checkbox) => checkbox.value
+    );
+
+    updateResults();
+  };
+
+  // Function to handle location filter change
+  const handleLocationFilterChange = () => {
+    const locationFilter = getElement("location-filter");
+    const checkedBoxes = locationFilter.querySelectorAll(
+      'input[type="checkbox"]:checked'
+    );
+
+    currentLocationFilter = Array.from(checkedBoxes).map(
+      (checkbox) => checkbox.value
+    );
+
+    updateResults();
+  };
+
+  // Function to handle location search input (type-ahead over the cities)
+  const handleLocationSearchInput = () => {
+    filterLocationOptions();
+  };
+
+  // Function to disable the city checkboxes while only remote jobs are shown
+  // The selected cities are kept, they apply again once the mode changes.
+  // Otherwise the facet counts decide which checkboxes are enabled.
+  const updateLocationFilterAvailability = () => {
+    const isRemoteOnly = currentRemoteFilter === "only";
+    getElement("location-search").disabled = isRemoteOnly;
+    if (!isRemoteOnly) return;
+
+    getElement("location-filter")
+      .querySelectorAll(".checkbox-item")
+      .forEach((label) => {
+        label.querySelector('input[type="checkbox"]').disabled = true;
+        label.classList.add("is-disabled");
+      });
+  };
+
+  // Function to handle remote mode change
+  const handleRemoteModeChange = (e) => {
+    currentRemoteFilter = e.target.value;
+    updateLocationFilterAvailability();
+    updateResults();
+  };
+
+  // Function to handle experience filter change
+  const handleExperienceFilterChange = (e) => {
+    currentExperienceFilter = e.target.value;
+    updateResults();
+  };
+
+  // Function to handle search input, debounced to avoid filtering on every keystroke
+  const handleSearchFilterChange = (e) => {
+    const query = e.target.value.trim();
+    clearTimeout(searchDebounceTimeout);
+    searchDebounceTimeout = setTimeout(() => {
+      if (query === currentSearchFilter) return;
+      currentSearchFilter = query;
+      updateResults();
+    }, SEARCH_DEBOUNCE_DELAY);
+  };
+
+  // Function to reset every filter to its default, keeping the sort order
+  const handleClearFilters = () => {
+    applyFilterState({ ...getDefaultFilterState(), sort: currentSort });
+    updateResults();
+
+    // The clear button is now disabled, move keyboard focus back to the filters
+    getElement("search-filter").focus();
+  };
+
+  // Function to handle active filter chip removal
+  const handleActiveFilterChipClick = (e) => {
+    const chipButton = e.target.closest(".filter-chip");
+    if (!chipButton) return;
+
+    const index = parseInt(chipButton.getAttribute("data-chip-index"));
+    const chip = activeFilterChips[index];
+    if (!chip) return;
+
+    applyFilterState(chip.remove(getFilterState()));
+    updateResults();
+
+    // The chip is gone, keep keyboard focus in the bar (or on the clear button)
+    const activeFilters = getElement("active-filters");
+    const chipButtons = activeFilters.querySelectorAll(".filter-chip");
+    const nextFocus =
+      chipButtons[Math.min(index, chipButtons.length - 1)] ||
+      getElement("search-filter");
+    nextFocus.focus();
+  };
+
+  // Function to handle sort order change
+  const handleSortChange = (e) => {
+    currentSort = e.target.value;
+    updateResults();
+  };
+
+  // Function to parse a years of experience value, or null if it isn't valid
+  const parseExperienceYears = (value) => {
+    const years = parseFloat(value);
+    if (!Number.isFinite(years) || years < 0) return null;
+    return Math.min(years, MAX_EXPERIENCE_YEARS);
+  };
+
+  // Function to handle years of experience input change
+  const handleExperienceYearsChange = (e) => {
+    const years = parseExperienceYears(e.target.value);
+    if (years === currentExperienceYearsFilter) return;
+
+    currentExperienceYearsFilter = years;
+    updateResults();
+  };
+
+  // Function to clamp a CTC bound between the range end and the other bound
+  // A bound stops at the other one instead of pushing it, so the thumbs can
+  // never end up stacked and trap each other.
+  const clampCTCBound = (bound, value) => {
+    const { min, max } = filterOptions.ctcRange;
+    if (bound === "min") {
+      return Math.min(Math.max(value, min), currentCTCFilter.max);
+    }
+    return Math.max(Math.min(value, max), currentCTCFilter.min);
+  };
+
+  // Function to set one bound of the CTC filter from a slider, input or key
+  const setCTCBound = (bound, value) => {
+    const clampedValue = clampCTCBound(bound, value); // NaN stays NaN
+    if (
+      Number.isNaN(clampedValue) ||
+      clampedValue === currentCTCFilter[bound]
+    ) {
+      updateCTCControls(); // Revert the control to the current filter
+      return;
+    }
+
+    currentCTCFilter = { ...currentCTCFilter, [bound]: clampedValue };
+    updateCTCControls();
+    updateResults();
+  };
+
+  // Function to convert an amount in the display unit to a CTC bound in LPA
+  // Amounts within one unit of an end of the range snap to it, so a rounded
+  // displayed amount never leaves out the lowest or highest paid jobs.
+  const displayAmountToCTC = (amount) => {
+    const { min, max } = filterOptions.ctcRange;
+    if (Math.abs(amount - toDisplaySalary(min)) < 1) return min;
+    if (Math.abs(amount - toDisplaySalary(max)) < 1) return max;
+    return fromDisplaySalary(amount);
+  };
+
+  // Function to handle CTC min slider change
+  const handleCTCMinChange = (e) => {
+    setCTCBound("min", displayAmountToCTC(parseFloat(e.target.value)));
+  };
+
+  // Function to handle CTC max slider change
+  const handleCTCMaxChange = (e) => {
+    setCTCBound("max", displayAmountToCTC(parseFloat(e.target.value)));
+  };
+
+  // Function to handle the CTC min numeric input, applied on change (not while typing)
+  const handleCTCMinValueChange = (e) => {
+    setCTCBound(
+      "min",
+      displayAmountToCTC(Math.round(parseFloat(e.target.value)))
+    );
+  };
+
+  // Function to handle the CTC max numeric input, applied on change (not while typing)
+  const handleCTCMaxValueChange = (e) => {
+    setCTCBound(
+      "max",
+      displayAmountToCTC(Math.round(parseFloat(e.target.value)))
+    );
+  };
+
+  // Function to handle PageUp/PageDown and Home/End on the CTC sliders
+  // Browsers disagree on these keys for range inputs, and Home/End should stop
+  // at the other thumb rather than at the end of the track.
+  const handleCTCSliderKeydown = (e) => {
+    const bound = e.target.id === "ctc-min" ? "min" : "max";
+    const { min, max } = filterOptions.ctcRange;
+    // Page steps are whole slider steps in the display unit
+    const scale = getCTCSliderScale();
+    const pageStep =
+      Math.max(
+        Math.round(
+          ((scale.max - scale.min) * CTC_PAGE_STEP_RATIO) / scale.step
+        ),
+        1
+      ) * scale.step;
+    const amount = toDisplaySalary(currentCTCFilter[bound]);
+    const keyTargets = {
+      PageUp: () => displayAmountToCTC(amount + pageStep),
+      PageDown: () => displayAmountToCTC(amount - pageStep),
+      Home: () => min,
+      End: () => max,
+    };
+    if (!(e.key in keyTargets)) return;
+
+    e.preventDefault();
+    setCTCBound(bound, keyTargets[e.key]());
+  };
+
+  // Function to raise the CTC thumb closest to the pointer, before it is grabbed
+  // Both inputs span the whole track, so the top one would otherwise catch every
+  // click on overlapping thumbs.
+  const handleCTCSliderPointerMove = (e) => {
+    if (e.buttons) return; // Don't swap thumbs during a drag
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (rect.width === 0) return;
+
+    // Thumb positions follow the slider scale of the display unit
+    const { min, max } = getCTCSliderScale();
+    const pointerAmount =
+      min + ((e.clientX - rect.left) / rect.width) * (max - min);
+    const minAmount = toDisplaySalary(currentCTCFilter.min);
+    const distanceToMin = Math.abs(pointerAmount - minAmount);
+    const distanceToMax = Math.abs(
+      pointerAmount - toDisplaySalary(currentCTCFilter.max)
+    );
+    // Overlapping thumbs: raise the one the pointer's side can move
+    const raiseMin =
+      distanceToMin < distanceToMax ||
+      (distanceToMin === distanceToMax && pointerAmount < minAmount);
+
+    getElement("ctc-min").classList.toggle("is-raised", raiseMin);
+  };
+
+  // Function to read the salary display preferences from localStorage
+  // Unknown units or periods fall back to the defaults.
+  const loadSalaryDisplay = () => {
+    try {
+      const stored =
+        JSON.parse(
+          window.localStorage.getItem(getStorageKey(SALARY_DISPLAY_KEY))
+        ) || {};
+      return {
+        unit: Object.hasOwn(SALARY_UNITS, stored.unit) ? stored.unit : "LPA",
+        period: SALARY_PERIODS.includes(stored.period)
+          ? stored.period
+          : "annual",
+      };
+    } catch (error) {
+      console.warn("Could not read the salary display preferences:", error);
+      return { unit: "LPA", period: "annual" };
+    }
+  };
+
+  // Function to write the salary display preferences to localStorage
+  const persistSalaryDisplay = () => {
+    try {
+      window.localStorage.setItem(
+        getStorageKey(SALARY_DISPLAY_KEY),
+        JSON.stringify(salaryDisplay)
+      );
+    } catch (error) {
+      console.warn("Could not save the salary display preferences:", error);
+    }
+  };
+
+  // Function to handle salary display unit change
+  const handleSalaryUnitChange = (e) => {
+    salaryDisplay = { ...salaryDisplay, unit: e.target.value };
+    persistSalaryDisplay();
+    applySalaryDisplay();
+  };
+
+  // Function to handle salary period change (annual or monthly)
+  const handleSalaryPeriodChange = (e) => {
+    salaryDisplay = { ...salaryDisplay, period: e.target.value };
+    persistSalaryDisplay();
+    applySalaryDisplay();
+  };
+
+  // Function to resolve the exchange rate table from init() options
+  // Rates are rupees per unit of currency, invalid ones keep their default.
+  const resolveExchangeRates = (rates = {}) => {
+    const resolvedRates = { ...DEFAULT_EXCHANGE_RATES };
+    Object.entries(rates).forEach(([currency, rate]) => {
+      if (!Object.hasOwn(resolvedRates, currency)) return;
+      if (typeof rate === "number" && Number.isFinite(rate) && rate > 0) {
+        resolvedRates[currency] = rate;
+      } else {
+        console.warn(`Ignoring invalid exchange rate for ${currency}:`, rate);
+      }
+    });
+    return resolvedRates;
+  };
+
+  // Function to read the results view preferences from localStorage
+  // Unknown views or group-by fields fall back to the defaults.
+  const loadResultsView = () => {
+    try {
+      const stored =
+        JSON.parse(
+          window.localStorage.getItem(getStorageKey(RESULTS_VIEW_KEY))
+        ) || {};
+      return {
+        view: RESULTS_VIEWS.includes(stored.view) ? stored.view : "cards",
+        groupBy: GROUP_BY_FIELDS.includes(stored.groupBy) ? stored.groupBy : "",
+      };
+    } catch (error) {
+      console.warn("Could not read the results view preferences:", error);
+      return { view: "cards", groupBy: "" };
+    }
+  };
+
+  // Function to write the results view preferences to localStorage
+  const persistResultsView = () => {
+    try {
+      window.localStorage.setItem(
+        getStorageKey(RESULTS_VIEW_KEY),
+        JSON.stringify(resultsView)
+      );
+    } catch (error) {
+      console.warn("Could not save the results view preferences:", error);
+    }
+  };
+
+  // Function to sync the results view controls and the container with the preferences
+  const updateResultsViewControls = () => {
+    getRadioGroupRadios("results-view").forEach((radio) => {
+      radio.checked = radio.value === resultsView.view;
+    });
+    getElement("group-by").value = resultsView.groupBy;
+    getElement("job-cards-container").classList.toggle(
+      "job-cards-sections",
+      usesJobGroups()
+    );
+  };
+
+  // Function to switch the results to the view preferences, rendering them from scratch
+  const applyResultsView = () => {
+    persistResultsView();
+    updateResultsViewControls();
+    if (!hasLoadedJobs) return;
+
+    const container = getElement("job-cards-container");
+    if (isVirtualized) exitVirtualMode();
+    clearJobCards(container);
+    updateResults({ syncURL: false });
+  };
+
+  // Function to handle results view change (cards or table)
+  const handleResultsViewChange = (e) => {
+    resultsView = { ...resultsView, view: e.target.value };
+    applyResultsView();
+  };
+
+  // Function to handle group-by change
+  const handleGroupByChange = (e) => {
+    resultsView = { ...resultsView, groupBy: e.target.value };
+    collapsedJobGroups = new Set(); // Values of another field
+    applyResultsView();
+  };
+
+  // Function to collapse or expand a group section from its heading
+  const handleJobGroupToggleClick = (e) => {
+    const toggle = e.target.closest(".job-group-toggle");
+    if (!toggle) return;
+
+    const section = toggle.closest(".job-group");
+    const key = section.getAttribute("data-group");
+    if (collapsedJobGroups.has(key)) {
+      collapsedJobGroups.delete(key);
+    } else {
+      collapsedJobGroups.add(key);
+    }
+    setJobGroupCollapsed(section, collapsedJobGroups.has(key));
+    updateRovingTabIndex();
+
+    // A collapsed group may bring the sentinel into view
+    refreshLazyLoadObserver();
+  };
+
+  // Function to sort the results from a table column header
+  // Each click moves to the next sort order of the column, then back to the default order.
+  const handleJobTableSortClick = (e) => {
+    const button = e.target.closest(".job-table-sort");
+    if (!button) return;
+
+    const cycle = TABLE_SORT_CYCLES[button.getAttribute("data-sort")];
+    const position = cycle.indexOf(currentSort);
+    currentSort = position === -1 ? cycle[0] : cycle[position + 1] ?? "";
+    getElement("sort-select").value = currentSort;
+    updateResults();
+  };
+
+  // Function to initialize event listeners
+  const initializeEventListeners = () => {
+    // Every listener is removed at once by destroy()
+    listenersController = new AbortController();
+    const { signal } = listenersController;
+
+    const searchFilter = getElement("search-filter");
+    searchFilter.addEventListener("input", handleSearchFilterChange, {
+      signal,
+    });
+
+    const roleFilter = getElement("role-filter");
+    roleFilter.addEventListener("change", handleRoleFilterChange, { signal });
+
+    const technologiesFilter = getElement("technologies-filter");
+    technologiesFilter.addEventListener(
+      "change",
+      handleTechnologiesFilterChange,
+      { signal }
+    );
+
+    addRadioGroupListener(
+      "technologies-match-mode",
+      handleTechnologiesMatchModeChange,
+      { signal }
+    );
+
+    const typeFilter = getElement("type-filter");
+    typeFilter.addEventListener("change", handleTypeFilterChange, { signal });
+
+    const locationFilter = getElement("location-filter");
+    locationFilter.addEventListener("change", handleLocationFilterChange, {
+      signal,
+    });
+
+    const locationSearch = getElement("location-search");
+    locationSearch.addEventListener("input", handleLocationSearchInput, {
+      signal,
+    });
+
+    addRadioGroupListener("remote-mode", handleRemoteModeChange, { signal });
+
+    const experienceFilter = getElement("experience-filter");
+    experienceFilter.addEventListener("change", handleExperienceFilterChange, {
+      signal,
+    });
+
+    const experienceYears = getElement("experience-years");
+    experienceYears.addEventListener("input", handleExperienceYearsChange, {
+      signal,
+    });
+
+    // CTC Filter Logic
+    const ctcMinSlider = getElement("ctc-min");
+    const ctcMaxSlider = getElement("ctc-max");
+
+    ctcMinSlider.addEventListener("input", handleCTCMinChange, { signal });
+    ctcMaxSlider.addEventListener("input", handleCTCMaxChange, { signal });
+    ctcMinSlider.addEventListener("keydown", handleCTCSliderKeydown, {
+      signal,
+    });
+    ctcMaxSlider.addEventListener("keydown", handleCTCSliderKeydown, {
+      signal,
+    });
+    ctcMinSlider
+      .closest(".range-slider")
+      .addEventListener("pointermove", handleCTCSliderPointerMove, { signal });
+
+    const ctcMinValue = getElement("ctc-min-value");
+    const ctcMaxValue = getElement("ctc-max-value");
+    ctcMinValue.addEventListener("change", handleCTCMinValueChange, { signal });
+    ctcMaxValue.addEventListener("change", handleCTCMaxValueChange, { signal });
+
+    // Salary display
+    const salaryUnit = getElement("salary-unit");
+    salaryUnit.addEventListener("change", handleSalaryUnitChange, { signal });
+
+    addRadioGroupListener("salary-period", handleSalaryPeriodChange, {
+      signal,
+    });
+
+    const sortSelect = getElement("sort-select");
+    sortSelect.addEventListener("change", handleSortChange, { signal });
+
+    // Results view
+    addRadioGroupListener("results-view", handleResultsViewChange, {
+      signal,
+    });
+    getElement("group-by").addEventListener("change", handleGroupByChange, {
+      signal,
+    });
+
+    // Clear filters button and active filter chips
+    const clearFiltersButton = getElement("clear-filters");
+    clearFiltersButton.addEventListener("click", handleClearFilters, {
+      signal,
+    });
+
+    const activeFilters = getElement("active-filters");
+    activeFilters.addEventListener("click", handleActiveFilterChipClick, {
+      signal,
+    });
+
+    // Shortlist and compare
+    const shortlistedOnly = getElement("shortlisted-only");
+    shortlistedOnly.addEventListener("change", handleShortlistedOnlyChange, {
+      signal,
+    });
+
+    const jobCardsContainer = getElement("job-cards-container");
+    jobCardsContainer.addEventListener("click", handleJobCardActionClick, {
+      signal,
+    });
+    jobCardsContainer.addEventListener("click", handleJobGroupToggleClick, {
+      signal,
+    });
+    jobCardsContainer.addEventListener("click", handleJobTableSortClick, {
+      signal,
+    });
+
+    // Export
+    getElement("export-csv").addEventListener("click", handleExportCSV, {
+      signal,
+    });
+    getElement("export-json").addEventListener("click", handleExportJSON, {
+      signal,
+    });
+
+    // Job detail view
+    jobCardsContainer.addEventListener("click", handleJobCardClick, { signal });
+    jobCardsContainer.addEventListener("keydown", handleJobCardKeydown, {
+      signal,
+    });
+    jobCardsContainer.addEventListener("focusin", handleJobCardFocusIn, {
+      signal,
+    });
+    if (areShortcutsEnabled) {
+      document.addEventListener("keydown", handleShortcutKeydown, { signal });
+    }
+    if (isURLSyncEnabled) {
+      window.addEventListener("hashchange", handleHashChange, { signal });
+    }
+
+    const jobDetailDialog = getElement("job-detail-dialog");
+    jobDetailDialog.addEventListener("close", handleJobDetailClose, { signal });
+    jobDetailDialog.addEventListener("click", handleSimilarJobClick, {
+      signal,
+    });
+    getElement("job-detail-close").addEventListener(
+      "click",
+      () => jobDetailDialog.close(),
+      { signal }
+    );
+
+    getElement("compare-open").addEventListener("click", handleCompareOpen, {
+      signal,
+    });
+    getElement("compare-clear").addEventListener("click", handleCompareClear, {
+      signal,
+    });
+    getElement("compare-close").addEventListener("click", handleCompareClose, {
+      signal,
+    });
+
+    // Saved searches
+    const saveSearchForm = getElement("save-search-form");
+    saveSearchForm.addEventListener("submit", handleSaveSearch, { signal });
+
+    const savedSearchesList = getElement("saved-searches-list");
+    savedSearchesList.addEventListener("click", handleSavedSearchesClick, {
+      signal,
+    });
+
+    // Lazy loading through the sentinel, virtual grid updates on scroll and resize
+    initializeLazyLoadObserver();
+    window.addEventListener("scroll", scheduleVirtualWindowRender, {
+      passive: true,
+      signal,
+    });
+    window.addEventListener("resize", scheduleVirtualWindowRender, { signal });
+
+    // Re-apply filter states when navigating through history
+    if (isURLSyncEnabled) {
+      window.addEventListener("popstate", handlePopState, { signal });
+    }
+  };
+
+  // Function to read saved searches from localStorage
+  const loadSavedSearches = () => {
+    try {
+      const stored = JSON.parse(
+        window.localStorage.getItem(getStorageKey(SAVED_SEARCHES_KEY))
+      );
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn("Could not read saved searches:", error);
+      return [];
+    }
+  };
+
+  // Function to write saved searches to localStorage
+  const persistSavedSearches = () => {
+    try {
+      window.localStorage.setItem(
+        getStorageKey(SAVED_SEARCHES_KEY),
+        JSON.stringify(savedSearches)
+      );
+    } catch (error) {
+      console.warn("Could not save searches:", error);
+    }
+  };
+
+  // Function to count, for every saved search, the jobs not seen when it was last opened
+  const updateSavedSearchNewCounts = () =>
+    getMatchingJobIdLists(
+      savedSearches.map((search) => parseFilterState(search.query))
+    ).then((jobIdLists) => {
+      savedSearchNewCounts = new Map();
+      savedSearches.forEach((search, index) => {
+        const seenJobIds = new Set(search.seenJobIds);
+        const newCount = jobIdLists[index].filter(
+          (id) => !seenJobIds.has(id)
+        ).length;
+        savedSearchNewCounts.set(search.id, newCount);
+      });
+    });
+
+  // Function to render the saved searches list
+  const renderSavedSearches = () => {
+    const list = getElement("saved-searches-list");
+    const savedSearchTemplate = getTemplate("saved-search-template");
+    list.innerHTML = "";
+
+    savedSearches.forEach((search) => {
+      const savedSearchEl = savedSearchTemplate.content.cloneNode(true);
+      const item = savedSearchEl.querySelector(".saved-search");
+      item.setAttribute("data-search-id", search.id);
+
+      savedSearchEl.querySelector(".saved-search-name").textContent =
+        search.name;
+
+      const newCount = savedSearchNewCounts.get(search.id) || 0;
+      const badge = savedSearchEl.querySelector(".saved-search-badge");
+      badge.textContent = `${newCount} new since last visit`;
+      badge.hidden = newCount === 0;
+
+      savedSearchEl
+        .querySelector(".saved-search-rename")
+        .setAttribute("aria-label", `Rename saved search ${search.name}`);
+      savedSearchEl
+        .querySelector(".saved-search-delete")
+        .setAttribute("aria-label", `Delete saved search ${search.name}`);
+
+      list.appendChild(savedSearchEl);
+    });
+
+    getElement("saved-searches-empty").hidden = savedSearches.length > 0;
+  };
+
+  // Function to report a saved search error in the panel, "" clears it
+  const setSavedSearchStatus = (message) => {
+    getElement("saved-searches-status").textContent = message;
+  };
+
+  // Function to save the current filter state under a name
+  // Saving under an existing name (case-insensitive) updates that search.
+  const handleSaveSearch = (e) => {
+    e.preventDefault();
+
+    const nameInput = getElement("save-search-name");
+    const name = nameInput.value.trim();
+    if (!name) return;
+
+    const state = getFilterState();
+    const query = serializeFilterState(state).toString();
+
+    // Matched again rather than read from filteredJobs, which may still be
+    // waiting for the filter worker's answer
+    getMatchingJobIdLists([state])
+      .then(([seenJobIds]) => {
+        let search = savedSearches.find(
+          ({ name: savedName }) =>
+            savedName.toLowerCase() === name.toLowerCase()
+        );
+
+        if (search) {
+          Object.assign(search, { name, query, seenJobIds });
+        } else {
+          const id = `${Date.now().toString(36)}-${Math.random()
+            .toString(36)
+            .slice(2, 8)}`;
+          search = { id, name, query, seenJobIds };
+          savedSearches.push(search);
+        }
+
+        savedSearchNewCounts.set(search.id, 0);
+        persistSavedSearches();
+        renderSavedSearches();
+        setSavedSearchStatus("");
+
+        // Keep a name typed for the next search in the meantime
+        if (nameInput.value.trim() === name) nameInput.value = "";
+      })
+      .catch((error) => {
+        console.error("Error saving the search:", error);
+        setSavedSearchStatus(`Could not save "${name}", please try again.`);
+      });
+  };
+
+  // Function to open a saved search and mark its current matches as seen
+  const openSavedSearch = (search) => {
+    applyFilterState(parseFilterState(search.query));
+    updateResults();
+
+    getMatchingJobIdLists([getFilterState()])
+      .then(([seenJobIds]) => {
+        search.seenJobIds = seenJobIds;
+        savedSearchNewCounts.set(search.id, 0);
+        persistSavedSearches();
+        renderSavedSearches();
+        setSavedSearchStatus("");
+      })
+      .catch((error) => {
+        console.error("Error marking saved search matches as seen:", error);
+        setSavedSearchStatus(
+          `Could not mark the jobs of "${search.name}" as seen.`
+        );
+      });
+  };
+
+  // Function to swap a saved search name for an inline rename input
+  const startSavedSearchRename = (item, search) => {
+    const openButton = item.querySelector(".saved-search-open");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "filter-input saved-search-rename-input";
+    input.value = search.name;
+    input.maxLength = 60;
+    input.setAttribute("aria-label", `New name for ${search.name}`);
+
+    let isDone = false;
+    const finishRename = (shouldSave) => {
+      if (isDone) return;
+      isDone = true;
+
+      const name = input.value.trim();
+      if (shouldSave && name) {
+        search.name = name;
+        persistSavedSearches();
+      }
+      renderSavedSearches();
+
+      // Return focus to the renamed search
+      const renamedItem = getElement("saved-searches-list").querySelector(
+        `.saved-search[data-search-id="${search.id}"] .saved-search-open`
+      );
+      if (renamedItem) renamedItem.focus();
+    };
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") finishRename(true);
+      if (e.key === "Escape") finishRename(false);
+    });
+    input.addEventListener("blur", () => finishRename(true));
+
+    openButton.replaceWith(input);
+    input.focus();
+    input.select();
+  };
+
+  // Function to handle clicks in the saved searches list (open, rename, delete)
+  const handleSavedSearchesClick = (e) => {
+    const button = e.target.closest("button");
+    const item = e.target.closest(".saved-search");
+    if (!button || !item) return;
+
+    const searchId = item.getAttribute("data-search-id");
+    const search = savedSearches.find(({ id }) => id === searchId);
+    if (!search) return;
+
+    if (button.classList.contains("saved-search-open")) {
+      openSavedSearch(search);
+    } else if (button.classList.contains("saved-search-rename")) {
+      startSavedSearchRename(item, search);
+    } else if (button.classList.contains("saved-search-delete")) {
+      savedSearches = savedSearches.filter(({ id }) => id !== searchId);
+      savedSearchNewCounts.delete(searchId);
+      persistSavedSearches();
+      renderSavedSearches();
+      getElement("save-search-name").focus();
+    }
+  };
+
+  // Function to read the shortlisted job IDs from localStorage
+  const loadShortlist = () => {
+    try {
+      const stored = JSON.parse(
+        window.localStorage.getItem(getStorageKey(SHORTLIST_KEY))
+      );
+      return new Set(Array.isArray(stored) ? stored : []);
+    } catch (error) {
+      console.warn("Could not read the shortlist:", error);
+      return new Set();
+    }
+  };
+
+  // Function to write the shortlisted job IDs to localStorage
+  const persistShortlist = () => {
+    try {
+      window.localStorage.setItem(
+        getStorageKey(SHORTLIST_KEY),
+        JSON.stringify([...shortlistedJobIds])
+      );
+    } catch (error) {
+      console.warn("Could not save the shortlist:", error);
+    }
+  };
+
+  // Function to update the shortlist count next to the "Shortlisted only" toggle
+  const updateShortlistCount = () => {
+    getElement("shortlist-count").textContent = `(${shortlistedJobIds.size})`;
+  };
+
+  // Function to refresh the action buttons of the rendered cards for a job
+  const refreshJobCardActions = (jobId) => {
+    const job = jobsById.get(jobId);
+    const card = getJobCardElement(jobId);
+    if (job && card) updateJobCardActions(card, job);
+  };
+
+  // Function to add or remove a job from the shortlist
+  const toggleShortlist = (jobId) => {
+    if (shortlistedJobIds.has(jobId)) {
+      shortlistedJobIds.delete(jobId);
+    } else {
+      shortlistedJobIds.add(jobId);
+    }
+
+    persistShortlist();
+    updateShortlistCount();
+    refreshJobCardActions(jobId);
+
+    // An unstarred job leaves the "Shortlisted only" view
+    if (currentShortlistedOnlyFilter) updateResults();
+  };
+
+  // Function to add or remove a job from the comparison
+  const toggleCompare = (jobId) => {
+    if (compareJobIds.includes(jobId)) {
+      compareJobIds = compareJobIds.filter((id) => id !== jobId);
+    } else if (compareJobIds.length >= MAX_COMPARE_JOBS) {
+      announceCompareStatus(
+        `You can compare up to ${MAX_COMPARE_JOBS} jobs. Remove one first.`
+      );
+      return;
+    } else {
+      compareJobIds = [...compareJobIds, jobId];
+    }
+
+    refreshJobCardActions(jobId);
+    renderCompareBar();
+  };
+
+  // Function to announce a compare status message
+  const announceCompareStatus = (message) => {
+    getElement("compare-status").textContent = message;
+  };
+
+  // Function to render the compare bar with the number of selected jobs
+  const renderCompareBar = () => {
+    const compareBar = getElement("compare-bar");
+    const count = compareJobIds.length;
+    compareBar.hidden = count === 0;
+
+    const jobLabel = count === 1 ? "job" : "jobs";
+    announceCompareStatus(
+      `${count} ${jobLabel} selected to compare (up to ${MAX_COMPARE_JOBS}).`
+    );
+    getElement("compare-open").disabled = count < MIN_COMPARE_JOBS;
+  };
+
+  // Function to clear the comparison selection
+  const handleCompareClear = () => {
+    const previousJobIds = compareJobIds;
+    compareJobIds = [];
+    previousJobIds.forEach(refreshJobCardActions);
+    renderCompareBar();
+
+    // The compare bar is now hidden, move keyboard focus back to the results
+    const firstCard = getElement("job-cards-container").querySelector(
+      ".job-card"
+    );
+    if (firstCard) firstCard.focus();
+  };
+
+  // Comparison table rows: label and how to display the value of a job
+  const compareRows = [
+    { label: "Role", getValue: (job) => job.role },
+    { label: "Company", getValue: (job) => job.company },
+    { label: "Location", getValue: (job) => job.location },
+    { label: "Type", getValue: (job) => job.type },
+    { label: "Experience", getValue: (job) => job.experience },
+    { label: "CTC", getValue: (job) => formatSalary(job.ctc) },
+  ];
+
+  // Function to build the comparison table for the selected jobs
+  // Rows whose values differ are highlighted, and so are technologies that
+  // not every compared job uses.
+  const buildCompareTable = (jobs) => {
+    const table = document.createElement("table");
+    table.className = "compare-table";
+
+    const caption = document.createElement("caption");
+    caption.className = "visually-hidden";
+    caption.textContent =
+      "Selected jobs compared side by side. Rows with differing values are marked as different.";
+    table.appendChild(caption);
+
+    // Header row: one column per job
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    const cornerCell = document.createElement("td");
+    headerRow.appendChild(cornerCell);
+    jobs.forEach((job) => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = `${job.role}, ${job.company}`;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    const addRow = (label, cells, isDifferent) => {
+      const row = document.createElement("tr");
+      row.classList.toggle("is-different", isDifferent);
+
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = label;
+      if (isDifferent) {
+        const note = document.createElement("span");
+        note.className = "visually-hidden";
+        note.textContent = " (different)";
+        th.appendChild(note);
+      }
+      row.appendChild(th);
+
+      cells.forEach((cell) => row.appendChild(cell));
+      tbody.appendChild(row);
+    };
+
+    compareRows.forEach(({ label, getValue }) => {
+      const values = jobs.map(getValue);
+      const cells = values.map((value) => {
+        const td = document.createElement("td");
+        td.textContent = value;
+        return td;
+      });
+      addRow(label, cells, new Set(values).size > 1);
+    });
+
+    // Technologies: list every job's stack, marking technologies not shared by all
+    const sharedTechnologies = jobs[0].technologies.filter((tech) =>
+      jobs.every((job) => job.technologies.includes(tech))
+    );
+    const technologyCells = jobs.map((job) => {
+      const td = document.createElement("td");
+      const list = document.createElement("ul");
+      list.className = "compare-tech-list";
+      job.technologies.forEach((tech) => {
+        const item = document.createElement("li");
+        item.className = "tech-tag";
+        item.textContent = tech;
+        if (!sharedTechnologies.includes(tech)) {
+          item.classList.add("is-different");
+          item.setAttribute("aria-label", `${tech} (not shared)`);
+        }
+        list.appendChild(item);
+      });
+      td.appendChild(list);
+      return td;
+    });
+    const hasDifferentTechnologies = jobs.some(
+      (job) => job.technologies.length !== sharedTechnologies.length
+    );
+    addRow("Technologies", technologyCells, hasDifferentTechnologies);
+
+    table.appendChild(tbody);
+    return table;
+  };
+
+  // Function to open the comparison dialog
+  const handleCompareOpen = () => {
+    const jobs = compareJobIds.map((id) => jobsById.get(id)).filter(Boolean);
+    if (jobs.length < MIN_COMPARE_JOBS) return;
+
+    const compareContent = getElement("compare-content");
+    compareContent.innerHTML = "";
+    compareContent.appendChild(buildCompareTable(jobs));
+
+    // <dialog> traps focus, closes on Escape and restores focus natively
+    getElement("compare-dialog").showModal();
+  };
+
+  // Function to close the comparison dialog
+  const handleCompareClose = () => {
+    getElement("compare-dialog").close();
+  };
+
+  // Function to handle shortlist and compare buttons on job cards
+  const handleJobCardActionClick = (e) => {
+    const button = e.target.closest(".shortlist-toggle, .compare-toggle");
+    if (!button) return;
+
+    const card = button.closest(".job-card");
+    const jobId = parseInt(card.getAttribute("data-job-id"));
+
+    if (button.classList.contains("shortlist-toggle")) {
+      toggleShortlist(jobId);
+    } else {
+      toggleCompare(jobId);
+    }
+  };
+
+  // Function to handle the "Shortlisted only" toggle
+  const handleShortlistedOnlyChange = (e) => {
+    currentShortlistedOnlyFilter = e.target.checked;
+    updateResults();
+  };
+
+  // Function to get the job ID from a job detail hash route, or null
+  const parseJobRoute = (hash) => {
+    const match = JOB_ROUTE_PATTERN.exec(hash);
+    return match ? parseInt(match[1]) : null;
+  };
+
+  // Function to score how similar a job is to another (0 to 1)
+  // Weighted by technology overlap (Jaccard index), same role and CTC proximity.
+  const getJobSimilarity = (job, otherJob) => {
+    const sharedTechnologies = job.technologies.filter((tech) =>
+      otherJob.technologies.includes(tech)
+    ).length;
+    const allTechnologies =
+      job.technologies.length +
+      otherJob.technologies.length -
+      sharedTechnologies;
+    const technologyScore =
+      allTechnologies > 0 ? sharedTechnologies / allTechnologies : 0;
+
+    const roleScore = job.role === otherJob.role ? 1 : 0;
+
+    const { min, max } = filterOptions.ctcRange;
+    const ctcSpan = Math.max(max - min, 1);
+    const ctcScore =
+      1 - Math.min(Math.abs(job.ctc - otherJob.ctc) / ctcSpan, 1);
+
+    return {
+      score: technologyScore * 0.5 + roleScore * 0.3 + ctcScore * 0.2,
+      sharedTechnologies,
+      ctcScore,
+    };
+  };
+
+  // Function to get the jobs most similar to a job, best match first
+  const getSimilarJobs = (job) =>
+    allJobs
+      .filter((otherJob) => otherJob.id !== job.id)
+      .map((otherJob) => ({
+        job: otherJob,
+        ...getJobSimilarity(job, otherJob),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, SIMILAR_JOBS_LIMIT);
+
+  // Function to describe why a job is similar
+  // The CTC only counts as a reason when it is close enough to score at least
+  // CLOSE_CTC_SCORE, a tenth of the CTC range apart at most.
+  const getSimilarityReason = (
+    job,
+    similarJob,
+    sharedTechnologies,
+    ctcScore
+  ) => {
+    const reasons = [];
+    if (sharedTechnologies > 0) {
+      const techLabel =
+        sharedTechnologies === 1 ? "technology" : "technologies";
+      reasons.push(`${sharedTechnologies} shared ${techLabel}`);
+    }
+    if (job.role === similarJob.role) reasons.push("same role");
+
+    const ctcDifference = Math.abs(job.ctc - similarJob.ctc);
+    if (ctcDifference === 0) {
+      reasons.push("same CTC");
+    } else if (ctcScore >= CLOSE_CTC_SCORE) {
+      reasons.push(`CTC within ${formatSalary(ctcDifference)}`);
+    }
+    return reasons.join(", ");
+  };
+
+  // Function to render the detail view content for a job
+  const renderJobDetail = (job) => {
+    getElement("job-detail-heading").textContent = job.role;
+
+    const content = getElement("job-detail-content");
+    content.innerHTML = ""; // Clear existing content
+    const jobDetailTemplate = getTemplate("job-detail-template");
+    const jobDetailEl = jobDetailTemplate.content.cloneNode(true);
+
+    jobDetailEl.querySelector(".company-name").textContent = job.company;
+    jobDetailEl.querySelector(".job-location").textContent = job.location;
+    jobDetailEl.querySelector(".detail-type").textContent = job.type;
+    jobDetailEl.querySelector(".detail-experience").textContent =
+      job.experience;
+    jobDetailEl.querySelector(".detail-salary").textContent = formatSalary(
+      job.ctc
+    );
+
+    const techTagsContainer = jobDetailEl.querySelector(".tech-tags");
+    job.technologies.forEach((tech) => {
+      const techTag = document.createElement("span");
+      techTag.className = "tech-tag";
+      techTag.setAttribute("role", "listitem");
+      techTag.textContent = tech;
+      techTagsContainer.appendChild(techTag);
+    });
+
+    // Similar jobs, linked through their own detail routes
+    const similarJobs = getSimilarJobs(job);
+    const similarJobsList = jobDetailEl.querySelector(".similar-jobs-list");
+    similarJobs.forEach(({ job: similarJob, sharedTechnologies, ctcScore }) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.className = "similar-job-link";
+      link.href = `#/jobs/${similarJob.id}`;
+
+      const title = document.createElement("span");
+      title.className = "similar-job-title";
+      title.textContent = similarJob.role;
+
+      const meta = document.createElement("span");
+      meta.className = "similar-job-meta";
+      meta.textContent = `${similarJob.company} • ${
+        similarJob.location
+      } • ${formatSalary(similarJob.ctc)}`;
+
+      const reason = document.createElement("span");
+      reason.className = "similar-job-reason";
+      reason.textContent = getSimilarityReason(
+        job,
+        similarJob,
+        sharedTechnologies,
+        ctcScore
+      );
+
+      link.append(title, meta, reason);
+      item.appendChild(link);
+      similarJobsList.appendChild(item);
+    });
+    jobDetailEl.querySelector(".similar-jobs-empty").hidden =
+      similarJobs.length > 0;
 
-    // Remove loading indicator if it exists
-    const loadingIndicator = container.querySelector(".loading-more");
-    if (loadingIndicator) {
-      loadingIndicator.remove();
+    content.appendChild(jobDetailEl);
+  };
+
+  // Function to open the detail view for a job ID, returns whether it opened
+  const openJobDetail = (jobId) => {
+    const job = jobsById.get(jobId);
+    if (!job) return false;
+
+    renderJobDetail(job);
+    const dialog = getElement("job-detail-dialog");
+    if (!dialog.open) dialog.showModal();
+    dialog.scrollTop = 0;
+    return true;
+  };
+
+  // Function to sync the detail view with the URL hash
+  // Runs on hashchange and once the jobs have loaded, so deep links work.
+  const handleHashChange = () => {
+    if (!hasLoadedJobs) return;
+
+    const jobId = parseJobRoute(window.location.hash);
+    const dialog = getElement("job-detail-dialog");
+
+    if (jobId === null) {
+      if (dialog.open) dialog.close();
+      return;
+    }
+
+    if (!openJobDetail(jobId)) {
+      // Unknown job: drop the route rather than leaving a dead link in the URL
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, "", `${pathname}${search}`);
+      if (dialog.open) dialog.close();
     }
   };
 
-  // Function to load next batch of jobs
-  const loadNextBatch = () => {
-    if (
-      isBatchLoading ||
-      currentBatch * INCREMENTAL_BATCH_SIZE >= filteredJobs.length
-    ) {
-      return; // Already loading or no more jobs to load
+  // Function to open the detail view for a job card
+  const openJobCardDetail = (card) => {
+    const jobId = parseInt(card.getAttribute("data-job-id"));
+    detailReturnFocusJobId = jobId;
+    if (!isURLSyncEnabled) {
+      openJobDetail(jobId);
+      return;
     }
 
-    isBatchLoading = true;
+    // Write pending filter changes first, so closing the view goes back to them
+    if (urlUpdateTimeout) writeURLUpdate();
+
+    hasPushedJobRoute = true;
+    window.location.hash = `#/jobs/${jobId}`; // Opens through handleHashChange
+  };
+
+  // Function to handle clicks on job cards (outside their action buttons)
+  const handleJobCardClick = (e) => {
+    if (e.target.closest("button, a, input")) return;
+    const card = e.target.closest(".job-card[data-job-id]");
+    if (card) openJobCardDetail(card);
+  };
 
-    // Show loading indicator
-    const container = document.getElementById("job-cards-container");
-    const loadingMoreJobsTemplate = document.getElementById(
-      "loading-more-jobs-template"
+  // Function to scroll a virtual grid to the row of a result, so its card renders
+  const scrollToVirtualJobCard = (index) => {
+    const container = getElement("job-cards-container");
+    const rowStride = getVirtualRowStride();
+    const row = Math.floor(index / getGridColumnCount(container));
+    window.scrollTo(
+      0,
+      container.getBoundingClientRect().top + window.scrollY + row * rowStride
     );
-    const loadingMoreJobsEl = loadingMoreJobsTemplate.content.cloneNode(true);
-    container.appendChild(loadingMoreJobsEl);
+    renderVirtualWindow(); // Now, rather than on the next frame
+  };
 
-    // Simulate loading delay
-    setTimeout(() => {
-      const startIndex = currentBatch * INCREMENTAL_BATCH_SIZE;
-      const endIndex = Math.min(
-        startIndex + INCREMENTAL_BATCH_SIZE,
-        filteredJobs.length
-      );
-      const batchJobs = filteredJobs.slice(startIndex, endIndex);
+  // Function to move keyboard focus to the card of a result, by index
+  // Cards past the loaded ones are loaded first, and a virtual grid scrolls to
+  // the card's row to render it.
+  const focusJobCardAt = (index) => {
+    const job = filteredJobs[index];
+    if (!job) return;
 
-      displayedJobs.push(...batchJobs);
-      renderJobBatch(batchJobs, true);
+    while (!isVirtualized && displayedJobs.length <= index) {
+      loadNextBatch();
+    }
+    if (isVirtualized && !getJobCardElement(job.id)) {
+      scrollToVirtualJobCard(index);
+    }
 
-      currentBatch++;
-      isBatchLoading = false;
-    }, 500);
+    const card = getJobCardElement(job.id);
+    if (!card) return;
+    setActiveJobCard(job.id);
+    card.focus();
   };
 
-  // Function to reset and render initial batch
-  const renderInitialBatch = () => {
-    currentBatch = 0;
-    displayedJobs = [];
+  // Function to get the result index an arrow, Home or End key moves to
+  // Rows move by the column count of the card's grid (a group's grid when
+  // grouped, 1 in the table view). Results in collapsed groups are skipped.
+  // Returns null when the key would leave the results.
+  const getGridNavigationTarget = (key, index, columnCount) => {
+    const lastLoadedIndex =
+      (isVirtualized ? filteredJobs.length : displayedJobs.length) - 1;
+    const targets = {
+      ArrowLeft: index - 1,
+      ArrowRight: index + 1, // Past the last loaded card loads the next batch
+      ArrowUp: index - columnCount,
+      ArrowDown: index + columnCount,
+      Home: 0,
+      End: lastLoadedIndex,
+    };
+    const direction = ["ArrowLeft", "ArrowUp", "End"].includes(key) ? -1 : 1;
+    let target = targets[key];
+    while (
+      target >= 0 &&
+      target < filteredJobs.length &&
+      collapsedJobGroups.has(getJobGroupKey(filteredJobs[target]))
+    ) {
+      target += direction;
+    }
+    return target >= 0 && target < filteredJobs.length ? target : null;
+  };
 
-    if (filteredJobs.length === 0) {
-      renderJobBatch([], false);
+  // Function to handle keys on a focused job card (cards are focusable articles)
+  // Enter opens the detail view, arrow keys, Home and End move between cards.
+  const handleJobCardKeydown = (e) => {
+    if (!e.target.matches(".job-card[data-job-id]")) return; // Let inner buttons work
+
+    if (e.key === "Enter") {
+      e.preventDefault();
+      openJobCardDetail(e.target);
       return;
     }
 
-    const initialBatch = filteredJobs.slice(0, INITIAL_BATCH_SIZE);
-    displayedJobs = [...initialBatch];
-    renderJobBatch(initialBatch, false);
-    currentBatch = 1;
+    if (!GRID_NAVIGATION_KEYS.includes(e.key)) return;
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    e.preventDefault();
+
+    const jobId = parseInt(e.target.getAttribute("data-job-id"));
+    const index = filteredJobs.findIndex((job) => job.id === jobId);
+    const targetIndex = getGridNavigationTarget(
+      e.key,
+      index,
+      getGridColumnCount(e.target.parentElement)
+    );
+    if (index !== -1 && targetIndex !== null) focusJobCardAt(targetIndex);
   };
 
-  // Function to render batch with incremental updates
-  const renderIncrementalBatch = () => {
-    if (filteredJobs.length === 0) {
-      // Handle empty results with incremental updates
-      const currentJobIds = getCurrentlyDisplayedJobIds();
-      if (currentJobIds.length > 0) {
-        // Remove all existing cards
-        currentJobIds.forEach((jobId) => {
-          const cardToRemove = document.querySelector(
-            `[data-job-id="${jobId}"]`
-          );
-          if (cardToRemove) {
-            cardToRemove.classList.add("animate-out");
-            setTimeout(() => {
-              if (cardToRemove.parentNode) {
-                cardToRemove.remove();
-              }
-            }, 300);
-          }
-        });
+  // Function to keep the focused card as the one reached with Tab
+  const handleJobCardFocusIn = (e) => {
+    if (!e.target.matches(".job-card[data-job-id]:not(.animate-out)")) return;
+    setActiveJobCard(parseInt(e.target.getAttribute("data-job-id")));
+  };
 
-        // Show no results message after animation
-        setTimeout(() => {
-          const container = document.getElementById("job-cards-container");
-          if (container.children.length === 0) {
-            const noResultsTemplate = document.getElementById(
-              "no-results-template"
-            );
-            const noResultsEl = noResultsTemplate.content.cloneNode(true);
-            container.appendChild(noResultsEl);
-          }
-        }, 350);
+  // Function to handle global keyboard shortcuts: "f" jumps to the filters, "c" clears them
+  // Ignored while typing in a field, with modifier keys or while a dialog is open.
+  const handleShortcutKeydown = (e) => {
+    if (e.defaultPrevented || e.repeat) return;
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+    if (document.querySelector("dialog[open]")) return;
+
+    const shortcuts = {
+      f: () => getElement("search-filter").focus(),
+      c: () => {
+        if (!getElement("clear-filters").disabled) {
+          handleClearFilters(); // Moves focus to the filters too
+        }
+      },
+    };
+    const shortcut = shortcuts[e.key.toLowerCase()];
+    if (!shortcut) return;
+
+    e.preventDefault(); // Don't type the key into the field getting focus
+    shortcut();
+  };
+
+  // Function to navigate between similar jobs without stacking history entries
+  const handleSimilarJobClick = (e) => {
+    const link = e.target.closest(".similar-job-link");
+    if (!link) return;
+    e.preventDefault();
+
+    const hash = link.getAttribute("href");
+    if (isURLSyncEnabled) {
+      const { pathname, search } = window.location;
+      window.history.replaceState(null, "", `${pathname}${search}${hash}`);
+    }
+    openJobDetail(parseJobRoute(hash));
+    getElement("job-detail-close").focus();
+  };
+
+  // Function to clean up the route and restore focus when the detail view closes
+  // Closing through Escape or the close button removes the route from the URL:
+  // by going back if opening it added a history entry, by replacing it otherwise.
+  const handleJobDetailClose = () => {
+    if (isURLSyncEnabled && parseJobRoute(window.location.hash) !== null) {
+      if (hasPushedJobRoute) {
+        window.history.back();
       } else {
-        renderJobBatch([], false);
+        const { pathname, search } = window.location;
+        window.history.replaceState(null, "", `${pathname}${search}`);
       }
+    }
+    hasPushedJobRoute = false;
 
-      currentBatch = 0;
-      displayedJobs = [];
+    // Return focus to the card the detail view was opened from
+    if (detailReturnFocusJobId !== null) {
+      const card = getJobCardElement(detailReturnFocusJobId);
+      if (card) card.focus();
+      detailReturnFocusJobId = null;
+    }
+  };
+
+  // Function to escape a value as a CSV field (RFC 4180)
+  // Values that a spreadsheet would run as a formula are prefixed with a quote.
+  const toCSVField = (value) => {
+    let text = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+    return text;
+  };
+
+  // Function to convert jobs to CSV text
+  const jobsToCSV = (jobs) => {
+    const rows = [EXPORT_COLUMNS.join(",")];
+    jobs.forEach((job) => {
+      rows.push(
+        EXPORT_COLUMNS.map((column) => toCSVField(job[column])).join(",")
+      );
+    });
+    return rows.join("\r\n");
+  };
+
+  // Function to turn a filter value into a file-name-safe slug
+  const slugify = (value) =>
+    String(value)
+      .toLowerCase()
+      .replace(/\+/g, "plus")
+      .replace(/[^a-z0-9.]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+  // Function to build an export file name that encodes the active filters
+  // e.g. jobs_role-qa-engineer_tech-react-typescript_ctc-10-20.csv
+  const getExportFileName = (extension) => {
+    const state = getFilterState();
+    const defaults = getDefaultFilterState();
+    const parts = ["jobs"];
+
+    if (state.search) parts.push(`q-${slugify(state.search)}`);
+    if (state.role) parts.push(`role-${slugify(state.role)}`);
+    if (state.technologies.length > 0) {
+      const prefix =
+        state.technologiesMode === "all"
+          ? "tech"
+          : `tech-${state.technologiesMode}`;
+      parts.push(`${prefix}-${state.technologies.map(slugify).join("-")}`);
+    }
+    if (state.types.length > 0) {
+      parts.push(`type-${state.types.map(slugify).join("-")}`);
+    }
+    if (state.locations.length > 0) {
+      parts.push(`loc-${state.locations.map(slugify).join("-")}`);
+    }
+    if (state.remote !== defaults.remote) {
+      parts.push(`remote-${state.remote}`);
+    }
+    if (state.experience) parts.push(`exp-${slugify(state.experience)}`);
+    if (state.experienceYears !== null) {
+      parts.push(`years-${slugify(state.experienceYears)}`);
+    }
+    if (
+      state.ctc.min !== defaults.ctc.min ||
+      state.ctc.max !== defaults.ctc.max
+    ) {
+      parts.push(`ctc-${state.ctc.min}-${state.ctc.max}`);
+    }
+    if (state.shortlistedOnly) parts.push("shortlisted");
+    if (state.sort) parts.push(`sort-${slugify(state.sort)}`);
+
+    const baseName = parts
+      .join("_")
+      .slice(0, MAX_EXPORT_FILENAME_LENGTH)
+      .replace(/[-_]+$/, "");
+    return `${baseName}.${extension}`;
+  };
+
+  // Function to download text as a file
+  const downloadFile = (content, fileName, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // Function to export the full filtered and sorted result set as CSV
+  // Uses filteredJobs, not displayedJobs, so lazily loaded batches are included.
+  const handleExportCSV = () => {
+    // Leading BOM so spreadsheet apps detect UTF-8
+    const csv = `\uFEFF${jobsToCSV(filteredJobs)}`;
+    downloadFile(csv, getExportFileName("csv"), "text/csv;charset=utf-8");
+  };
+
+  // Function to export the full filtered and sorted result set as JSON
+  const handleExportJSON = () => {
+    const json = JSON.stringify(filteredJobs, null, 2);
+    downloadFile(json, getExportFileName("json"), "application/json");
+  };
+
+  // Function to enable the export buttons only when there are results
+  const updateExportButtons = () => {
+    const hasResults = filteredJobs.length > 0;
+    getElement("export-csv").disabled = !hasResults;
+    getElement("export-json").disabled = !hasResults;
+  };
+
+  // Function to get the filter options (unique values and CTC range) of job data
+  const getFilterOptions = (jobs) => ({
+    roles: getUniqueRoles(jobs),
+    technologies: getUniqueTechnologies(jobs),
+    types: getUniqueJobTypes(jobs),
+    locations: getUniqueLocations(jobs),
+    experienceLevels: getUniqueExperienceLevels(jobs),
+    ctcRange: getCTCRange(jobs),
+  });
+
+  // Function to normalise job data and build the lookups and indexes derived from it
+  // Runs in the filter worker when worker mode is enabled, on the main thread otherwise.
+  const prepareJobs = (data) => {
+    const jobs = normalizeJobs(data);
+    allJobs = jobs;
+    jobsById = new Map(jobs.map((job) => [job.id, job]));
+    searchIndex = buildSearchIndex(jobs);
+    filterIndexes = buildFilterIndexes(jobs);
+
+    return {
+      jobs,
+      filterOptions: jobs.length > 0 ? getFilterOptions(jobs) : null,
+    };
+  };
+
+  // Function to answer a message from the main thread, when running as the filter worker
+  const handleWorkerMessage = ({ data: message }) => {
+    const { requestId, type } = message;
+    const respond = (response) => self.postMessage({ requestId, ...response });
+    const respondWithError = (error) => respond({ error: error.message });
+
+    if (type === "query") {
+      // Only the latest query is answered: queries superseded while the user is
+      // still dragging a slider are dropped before any filtering work is done
+      const isScheduled = pendingWorkerQuery !== null;
+      pendingWorkerQuery = message;
+      if (!isScheduled) setTimeout(answerWorkerQuery);
       return;
     }
 
-    const initialBatch = filteredJobs.slice(0, INCREMENTAL_BATCH_SIZE);
-    displayedJobs = [...initialBatch];
-    renderJobBatch(initialBatch, false, true); // Use incremental updates
-    currentBatch = 1;
+    try {
+      if (type === "load") {
+        fetchJSONWithRetry(message.dataUrl, message.options)
+          .then((data) => respond(prepareJobs(data)))
+          .catch(respondWithError);
+      } else if (type === "prepare") {
+        respond(prepareJobs(message.data));
+      } else if (type === "match") {
+        shortlistedJobIds = new Set(message.shortlistedJobIds);
+        respond({
+          jobIdLists: message.states.map((state) =>
+            getMatchingJobs(state).map((job) => job.id)
+          ),
+        });
+      }
+    } catch (error) {
+      respondWithError(error);
+    }
   };
 
-  // Function to update filtered results and render
-  const updateResults = () => {
-    // Filter jobs based on current filters
-    const filterChain = [
-      { filter: filterJobsByRole, params: currentRoleFilter },
-      { filter: filterJobsByTechnologies, params: currentTechnologiesFilter },
-      { filter: filterJobsByExperience, params: currentExperienceFilter },
-      { filter: filterJobsByCTC, params: currentCTCFilter },
-    ];
+  // Function to answer the latest filter query, when running as the filter worker
+  const answerWorkerQuery = () => {
+    const { requestId, state } = pendingWorkerQuery;
+    pendingWorkerQuery = null;
+
+    try {
+      shortlistedJobIds = new Set(state.shortlistedJobIds);
+      // The technologies facet reads the match mode from the filter state
+      currentTechnologiesMatchMode = state.technologiesMode;
+      const { matchingJobs, facetCounts } = queryResults(state);
+      self.postMessage({
+        requestId,
+        jobIds: matchingJobs.map((job) => job.id),
+        facetCounts,
+      });
+    } catch (error) {
+      self.postMessage({ requestId, error: error.message });
+    }
+  };
+
+  // Function to start the filter worker, or return null when workers aren't available
+  const createFilterWorker = () => {
+    if (typeof Worker === "undefined") {
+      console.warn("Web Workers are not available, filtering in-thread.");
+      return null;
+    }
+
+    try {
+      const worker = new Worker(JOB_LISTINGS_SCRIPT_URL);
+      worker.addEventListener("message", handleFilterWorkerMessage);
+      worker.addEventListener("error", handleFilterWorkerError);
+      return worker;
+    } catch (error) {
+      console.warn(
+        "Could not start the filter worker, filtering in-thread:",
+        error
+      );
+      return null;
+    }
+  };
+
+  // Function to send a request to the filter worker, resolved with its response
+  const requestWorker = (message) =>
+    new Promise((resolve, reject) => {
+      lastWorkerRequestId++;
+      workerRequests.set(lastWorkerRequestId, { resolve, reject });
+      filterWorker.postMessage({ ...message, requestId: lastWorkerRequestId });
+    });
+
+  // Function to ask the filter worker for the results of a filter state
+  // A results query still awaited is cancelled (resolved with null), so stale
+  // results never overwrite newer ones.
+  const requestWorkerResults = (state) => {
+    const staleRequest = workerRequests.get(latestResultsRequestId);
+    if (staleRequest) {
+      workerRequests.delete(latestResultsRequestId);
+      staleRequest.resolve(null);
+    }
+
+    const request = requestWorker({
+      type: "query",
+      state: { ...state, shortlistedJobIds: [...shortlistedJobIds] },
+    });
+    latestResultsRequestId = lastWorkerRequestId;
 
-    filteredJobs = filterChain.reduce(
-      (jobs, { filter, params }) => filter(jobs, params),
-      allJobs
+    return request.then(
+      (response) =>
+        response && {
+          matchingJobs: response.jobIds.map((jobId) => jobsById.get(jobId)),
+          facetCounts: response.facetCounts,
+        }
     );
+  };
 
-    // Check if this is the initial load (no jobs currently displayed)
-    const currentJobIds = getCurrentlyDisplayedJobIds();
-    const isInitialLoad = currentJobIds.length === 0;
+  // Function to settle the pending request a filter worker response belongs to
+  const handleFilterWorkerMessage = ({ data: response }) => {
+    const request = workerRequests.get(response.requestId);
+    if (!request) return; // Cancelled as stale
 
-    if (isInitialLoad) {
-      // Use traditional rendering for initial load
-      renderInitialBatch();
+    workerRequests.delete(response.requestId);
+    if (response.error) {
+      request.reject(new Error(response.error));
     } else {
-      // Use incremental updates for filter changes
-      renderIncrementalBatch();
+      request.resolve(response);
     }
   };
 
-  // Function to show initial job data loader
-  const showInitialJobDataLoader = () => {
-    const container = document.getElementById("job-cards-container");
-    container.innerHTML = ""; // Clear existing content
-    const initialLoadingTemplate = document.getElementById(
-      "initial-loading-template"
-    );
-    const initialLoadingEl = initialLoadingTemplate.content.cloneNode(true);
-    container.appendChild(initialLoadingEl);
+  // Function to stop the filter worker and filter in-thread from now on
+  // Pending requests are rejected, their callers fall back to in-thread work.
+  const stopFilterWorker = () => {
+    filterWorker.terminate();
+    filterWorker = null;
+
+    // The indexes only exist in the worker, build them for in-thread filtering
+    searchIndex = buildSearchIndex(allJobs);
+    filterIndexes = buildFilterIndexes(allJobs);
+
+    workerRequests.forEach(({ reject }) => {
+      reject(new Error("Filter worker stopped"));
+    });
+    workerRequests = new Map();
   };
 
-  // Function to show error state
-  const showError = (message) => {
-    const container = document.getElementById("job-cards-container");
-    container.innerHTML = ""; // Clear existing content
-    const errorTemplate = document.getElementById("error-template");
-    const errorEl = errorTemplate.content.cloneNode(true);
-    errorEl.querySelector(".error-message").textContent = `Error: ${message}`;
-    container.appendChild(errorEl);
+  // Function to fall back to in-thread filtering when the filter worker fails
+  const handleFilterWorkerError = (e) => {
+    console.warn("Filter worker failed, filtering in-thread:", e.message);
+    stopFilterWorker();
   };
 
-  // Function to handle role filter change
-  const handleRoleFilterChange = (e) => {
-    currentRoleFilter = e.target.value;
-    updateResults();
+  // Function to prepare job data, in the filter worker when it is enabled
+  const requestPreparedJobs = (data) => {
+    if (!filterWorker) return Promise.resolve().then(() => prepareJobs(data));
+    return requestWorker({ type: "prepare", data }).catch((error) => {
+      if (!filterWorker) return prepareJobs(data);
+      throw error;
+    });
   };
 
-  // Function to handle scroll events for lazy loading
-  const handleScroll = () => {
-    // Check if user is near the bottom of the page
-    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-    const windowHeight = window.innerHeight;
-    const documentHeight = document.documentElement.scrollHeight;
+  // Function to fetch and prepare job data, in the filter worker when it is enabled
+  // Only JSON parsing, normalisation and indexing move to the worker, the main
+  // thread keeps caching since workers have no access to localStorage.
+  const fetchPreparedJobs = () => {
+    const { dataUrl } = dataSourceOptions;
+    const fetchInThread = () =>
+      fetchJSONWithRetry(dataUrl, dataSourceOptions).then(prepareJobs);
+    if (!filterWorker) return fetchInThread();
 
-    // Load next batch when user is within 200px of the bottom
-    if (scrollTop + windowHeight >= documentHeight - 200) {
-      loadNextBatch();
-    }
+    const { requestTimeout, maxRetries, retryDelay } = dataSourceOptions;
+    return requestWorker({
+      type: "load",
+      // Relative URLs would resolve against the worker script, not the page
+      dataUrl: new URL(dataUrl, document.baseURI).href,
+      options: { requestTimeout, maxRetries, retryDelay },
+    }).catch((error) => {
+      if (!filterWorker) return fetchInThread();
+      throw error;
+    });
   };
 
-  // Function to handle technologies filter change
-  const handleTechnologiesFilterChange = (e) => {
-    // Get all checked technology checkboxes
-    const technologiesFilter = document.getElementById("technologies-filter");
-    const checkedBoxes = technologiesFilter.querySelectorAll(
-      'input[type="checkbox"]:checked'
-    );
+  // Function to get the IDs of the jobs matching each of the given filter states
+  const getMatchingJobIdLists = (states) => {
+    if (filterWorker) {
+      return requestWorker({
+        type: "match",
+        states,
+        shortlistedJobIds: [...shortlistedJobIds],
+      })
+        .then(({ jobIdLists }) => jobIdLists)
+        .catch((error) => {
+          if (!filterWorker) return getMatchingJobIdLists(states);
+          throw error;
+        });
+    }
 
-    // Extract the values of checked checkboxes
-    currentTechnologiesFilter = Array.from(checkedBoxes).map(
-      (checkbox) => checkbox.value
+    return Promise.resolve(
+      states.map((state) => getMatchingJobs(state).map((job) => job.id))
     );
+  };
 
-    // Update results with new filter
-    updateResults();
+  // Function to store prepared job data, populate the filters and render the results
+  // Returns the normalised jobs that were stored.
+  const setJobs = ({ jobs, filterOptions: jobFilterOptions }) => {
+    // Carry the current filters over when data is reloaded (e.g. after a retry),
+    // they are validated again against the new filter options below
+    let filterQuery = "";
+    if (hasLoadedJobs) {
+      filterQuery = serializeFilterState(getFilterState()).toString();
+    } else if (isURLSyncEnabled) {
+      filterQuery = window.location.search;
+      lastURLSearch = window.location.search;
+    }
+
+    // Store all jobs (prepareJobs stored them already, unless it ran in the worker)
+    allJobs = jobs;
+    jobsById = new Map(jobs.map((job) => [job.id, job]));
+    shortlistedJobIds = loadShortlist();
+    salaryDisplay = loadSalaryDisplay();
+    updateSalaryDisplayControls();
+    resultsView = loadResultsView();
+    updateResultsViewControls();
+    compareJobIds = compareJobIds.filter((id) => jobsById.has(id));
+    updateShortlistCount();
+    filteredJobs = jobs;
+
+    if (jobs.length === 0) {
+      showError("No job listings found.");
+      return jobs;
+    }
+
+    // Populate all filters with the unique values
+    filterOptions = jobFilterOptions;
+    populateRoleFilter(filterOptions.roles);
+    populateTechnologiesFilter(filterOptions.technologies);
+    populateTypeFilter(filterOptions.types);
+    populateLocationFilter(filterOptions.locations);
+    populateExperienceFilter(filterOptions.experienceLevels);
+    populateCTCRangeFilter(filterOptions.ctcRange);
+
+    // Restore filters from the URL (falls back to the full CTC range),
+    // then apply the ones set through the API before the data loaded
+    let filterState = parseFilterState(filterQuery);
+    if (pendingFilters) {
+      filterState = validateFilterState({ ...filterState, ...pendingFilters });
+      pendingFilters = null;
+    }
+    applyFilterState(filterState);
+
+    // Initialize event listeners
+    if (!areEventListenersInitialized) {
+      initializeEventListeners();
+      areEventListenersInitialized = true;
+    }
+
+    // Render from scratch, cards of the previous data may be outdated
+    if (isVirtualized) exitVirtualMode();
+    clearJobCards(getElement("job-cards-container"));
+    hasLoadedJobs = true;
+    updateResults({ syncURL: false });
+
+    // Check saved searches for jobs that are new since they were last opened
+    savedSearches = loadSavedSearches();
+    updateSavedSearchNewCounts()
+      .catch((error) => {
+        console.error("Error counting new saved search matches:", error);
+      })
+      .then(renderSavedSearches);
+
+    // Open the job detail view if the page was loaded on its route
+    if (isURLSyncEnabled) handleHashChange();
+
+    return jobs;
   };
 
-  // Function to handle experience filter change
-  const handleExperienceFilterChange = (e) => {
-    currentExperienceFilter = e.target.value;
-    updateResults();
+  // Function to load job data, falling back to the last-known-good copy
+  const loadJobs = () => {
+    const { dataUrl } = dataSourceOptions;
+    const requestId = loadRequestId;
+
+    if (!hasLoadedJobs) {
+      showInitialJobDataLoader();
+    }
+
+    fetchPreparedJobs()
+      .then((preparedJobs) => {
+        if (requestId !== loadRequestId) return; // Destroyed or restarted meanwhile
+
+        hideStaleDataBanner();
+        const jobs = setJobs(preparedJobs);
+
+        // Only cache data that made it through validation
+        if (jobs.length > 0) saveCachedJobs(dataUrl, jobs);
+      })
+      .catch((error) => {
+        if (requestId !== loadRequestId) return;
+        console.error("Error fetching job data:", error);
+
+        const cachedJobs = loadCachedJobs(dataUrl);
+        if (cachedJobs) {
+          const cachedJobsLoaded = hasLoadedJobs
+            ? Promise.resolve()
+            : requestPreparedJobs(cachedJobs.data).then(setJobs);
+          cachedJobsLoaded
+            .then(() => showStaleDataBanner(cachedJobs.savedAt, handleRetry))
+            .catch((cacheError) => {
+              console.error("Error loading cached job data:", cacheError);
+              showError("Failed to load job listings.", handleRetry);
+            });
+        } else {
+          showError("Failed to load job listings.", handleRetry);
+        }
+      });
   };
 
-  // Function to handle CTC min slider change
-  const handleCTCMinChange = (e) => {
-    const minValue = parseInt(e.target.value);
-    const maxSlider = document.getElementById("ctc-max");
-    const maxValue = parseInt(maxSlider.value);
-
-    // Ensure min doesn't exceed max
-    if (minValue > maxValue) {
-      maxSlider.value = minValue;
-      document.getElementById("ctc-max-value").textContent = minValue;
-      currentCTCFilter = { min: minValue, max: minValue };
-    } else {
-      currentCTCFilter = { min: minValue, max: maxValue };
+  // Function to handle the retry button of the error state and stale data banner
+  const handleRetry = (e) => {
+    e.currentTarget.disabled = true;
+    e.currentTarget.textContent = "Retrying...";
+    loadJobs();
+  };
+
+  // Function to notify the listeners of an API event
+  // A failing listener is logged and doesn't keep the others from running.
+  const emit = (type, detail) => {
+    const listeners = apiEventListeners.get(type);
+    if (!listeners) return;
+
+    listeners.forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`Error in a ${type} listener:`, error);
+      }
+    });
+  };
+
+  // Function to notify filterchange listeners, only when the filters actually changed
+  const emitFilterChange = () => {
+    const filters = getFilterState();
+    const query = serializeFilterState(filters).toString();
+    if (query === lastFilterChangeQuery) return;
+
+    lastFilterChangeQuery = query;
+    emit("filterchange", { filters });
+  };
+
+  // Function to subscribe to an API event, returns a function unsubscribing the listener
+  const on = (type, listener) => {
+    if (!API_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    if (typeof listener !== "function") {
+      throw new TypeError("Event listeners must be functions");
     }
 
-    document.getElementById("ctc-min-value").textContent = minValue;
-    updateResults();
+    if (!apiEventListeners.has(type)) apiEventListeners.set(type, new Set());
+    apiEventListeners.get(type).add(listener);
+    return () => off(type, listener);
   };
 
-  // Function to handle CTC max slider change
-  const handleCTCMaxChange = (e) => {
-    const maxValue = parseInt(e.target.value);
-    const minSlider = document.getElementById("ctc-min");
-    const minValue = parseInt(minSlider.value);
-
-    // Ensure max doesn't go below min
-    if (maxValue < minValue) {
-      minSlider.value = maxValue;
-      document.getElementById("ctc-min-value").textContent = maxValue;
-      currentCTCFilter = { min: maxValue, max: maxValue };
-    } else {
-      currentCTCFilter = { min: minValue, max: maxValue };
+  // Function to unsubscribe a listener from an API event
+  const off = (type, listener) => {
+    const listeners = apiEventListeners.get(type);
+    if (listeners) listeners.delete(listener);
+  };
+
+  // Function to get the current filters, in the shape setFilters() accepts
+  const getFilters = () => getFilterState();
+
+  // Function to validate a filter state like the URL parameters are validated
+  // Unknown or malformed values fall back to their defaults.
+  const validateFilterState = (state) =>
+    parseFilterState(serializeFilterState(state).toString());
+
+  // Function to merge filters into the current ones and update the results
+  // Missing keys keep their current value, so setFilters() alone re-runs the
+  // filter chain (e.g. after a custom filter's inputs changed).
+  // Returns the filters that were applied, after validation.
+  const setFilters = (filters = {}) => {
+    const currentFilters = getFilterState();
+    const toArray = (value) => [].concat(value ?? []);
+    const state = {
+      ...currentFilters,
+      ...filters,
+      ctc: { ...currentFilters.ctc, ...filters.ctc },
+    };
+    ["technologies", "types", "locations"].forEach((key) => {
+      state[key] = toArray(state[key]);
+    });
+
+    // Without data, filter options are unknown: keep the filters for setJobs()
+    if (!hasLoadedJobs) {
+      pendingFilters = state;
+      return state;
     }
 
-    document.getElementById("ctc-max-value").textContent = maxValue;
+    applyFilterState(validateFilterState(state));
     updateResults();
+    return getFilterState();
   };
 
-  // Function to initialize event listeners
-  const initializeEventListeners = () => {
-    const roleFilter = document.getElementById("role-filter");
-    roleFilter.addEventListener("change", handleRoleFilterChange);
+  // Function to get the current results, sorted, as plain job objects
+  const getResults = () => filteredJobs.slice();
 
-    const technologiesFilter = document.getElementById("technologies-filter");
-    technologiesFilter.addEventListener(
-      "change",
-      handleTechnologiesFilterChange
-    );
+  // Function to replace the job data without fetching, e.g. with jobs from another widget
+  // The jobs go through the same validation and normalisation as fetched data.
+  // Returns a promise of the jobs that were kept.
+  const setData = (data) => {
+    const requestId = loadRequestId;
+    return requestPreparedJobs(data).then((preparedJobs) => {
+      if (requestId !== loadRequestId) return []; // Destroyed or restarted meanwhile
+      hideStaleDataBanner();
+      return setJobs(preparedJobs);
+    });
+  };
+
+  // Function to add a custom predicate to the filter chain, returns a function removing it
+  // Predicates get a job and return whether it passes. They run on the main
+  // thread, so registering one stops the filter worker.
+  const registerFilter = (name, predicate) => {
+    if (typeof name !== "string" || !name) {
+      throw new TypeError("Custom filters need a name");
+    }
+    if (typeof predicate !== "function") {
+      throw new TypeError("Custom filter predicates must be functions");
+    }
 
-    const experienceFilter = document.getElementById("experience-filter");
-    experienceFilter.addEventListener("change", handleExperienceFilterChange);
+    if (filterWorker) stopFilterWorker();
+    customFilters.set(name, predicate);
+    if (hasLoadedJobs) updateResults();
 
-    // CTC Filter Logic
-    const ctcMinSlider = document.getElementById("ctc-min");
-    const ctcMaxSlider = document.getElementById("ctc-max");
+    return () => {
+      if (customFilters.get(name) !== predicate) return; // Replaced since
+      customFilters.delete(name);
+      if (hasLoadedJobs) updateResults();
+    };
+  };
+
+  // Function to check the filter indexes against the reference filters, for tests.js
+  // Loads the data without rendering anything, so it is only reachable on an
+  // instance of its own (see createJobListingsTestModule). Every filter state is
+  // merged into the default state, validated like URL parameters and run
+  // through both filter chains. Returns, per state, the validated state and the
+  // matching job IDs and facet counts of both chains, facet counts as
+  // [value, count] pairs sorted by value.
+  const checkFilterIndexes = (data, states) => {
+    const prepared = prepareJobs(data);
+    if (!prepared.filterOptions) throw new Error("No valid job records");
+    filterOptions = prepared.filterOptions;
 
-    ctcMinSlider.addEventListener("input", handleCTCMinChange);
-    ctcMaxSlider.addEventListener("input", handleCTCMaxChange);
+    const describeResults = ({ matchingJobs, facetCounts }) => ({
+      jobIds: matchingJobs.map((job) => job.id),
+      facetCounts: Object.fromEntries(
+        Object.entries(facetCounts).map(([key, counts]) => [
+          key,
+          [...counts].sort(([a], [b]) => String(a).localeCompare(String(b))),
+        ])
+      ),
+    });
 
-    // Add scroll listener for lazy loading
-    window.addEventListener("scroll", handleScroll);
+    return states.map((filters) => {
+      const state = validateFilterState({
+        ...getDefaultFilterState(),
+        ...filters,
+      });
+      return {
+        state,
+        indexed: describeResults(applyFacetedFilters(buildFilterChain(state))),
+        reference: describeResults(
+          applyFacetedFilters(buildReferenceFilterChain(state))
+        ),
+      };
+    });
   };
 
-  // Function to initialize the application
-  const init = () => {
-    showInitialJobDataLoader();
-
-    fetch(DATA_URL)
-      .then((response) => response.json())
-      .then((data) => {
-        // data = []; // Simulate empty data
-        // throw new Error("Simulated error"); // Simulate error
-
-        // Simulate loading delay and render initial results
-        // setTimeout(() => {
-        // Store all jobs
-        allJobs = data;
-        filteredJobs = data;
-
-        if (data.length === 0) {
-          showError("No job listings found.");
-          return;
-        }
+  // Function to stop the instance: removes its listeners, observer, timers and worker
+  // The rendered page is left as it is, and init() can start the instance again.
+  const destroy = () => {
+    loadRequestId++;
+    if (listenersController) listenersController.abort();
+    listenersController = null;
+    areEventListenersInitialized = false;
 
-        // Get unique values and populate all filters
-        const uniqueRoles = getUniqueRoles(data);
-        const uniqueTechnologies = getUniqueTechnologies(data);
-        const uniqueExperienceLevels = getUniqueExperienceLevels(data);
-        const ctcRange = getCTCRange(data);
+    if (lazyLoadObserver) lazyLoadObserver.disconnect();
+    lazyLoadObserver = null;
+    if (virtualFrameRequest) window.cancelAnimationFrame(virtualFrameRequest);
+    virtualFrameRequest = null;
+    clearTimeout(searchDebounceTimeout);
+    searchDebounceTimeout = null;
+    clearTimeout(urlUpdateTimeout);
+    urlUpdateTimeout = null;
+    clearTimeout(jobCountAnnounceTimeout);
+    jobCountAnnounceTimeout = null;
 
-        populateRoleFilter(uniqueRoles);
-        populateTechnologiesFilter(uniqueTechnologies);
-        populateExperienceFilter(uniqueExperienceLevels);
-        populateCTCRangeFilter(ctcRange);
+    // Pending worker requests are dropped, they must not render anymore
+    if (filterWorker) filterWorker.terminate();
+    filterWorker = null;
+    workerRequests = new Map();
 
-        // Initialize CTC filter with the actual range
-        currentCTCFilter = { min: ctcRange.min, max: ctcRange.max };
+    apiEventListeners = new Map();
+    customFilters = new Map();
+    lastFilterChangeQuery = null;
+    pendingFilters = null;
+    hasLoadedJobs = false;
+  };
 
-        // Initialize event listeners
-        initializeEventListeners();
+  // Function to initialize the application
+  // Options: dataUrl, requestTimeout, maxRetries and retryDelay (see DEFAULT_DATA_SOURCE_OPTIONS),
+  // virtualize: true, false or "auto" (virtual grid above VIRTUALIZATION_THRESHOLD results),
+  // worker: true to fetch, index and filter the data in a Web Worker (for very large datasets),
+  // exchangeRates: rupees per unit of currency (see DEFAULT_EXCHANGE_RATES),
+  // jobs: job data to use instead of fetching it (see setData),
+  // idPrefix: prefix of the instance's element ids, for more than one instance on a page,
+  // syncURL: whether to keep the filters and detail view in the URL (one instance per page may sync),
+  // and shortcuts: whether to handle the "f" and "c" keys (one instance per page may use them).
+  // Both default to true for the unprefixed instance only.
+  const init = (options = {}) => {
+    loadRequestId++;
+    idPrefix = options.idPrefix ?? "";
+    scopeRadioGroupNames();
+    isURLSyncEnabled = options.syncURL ?? !idPrefix;
+    areShortcutsEnabled = options.shortcuts ?? !idPrefix;
+    dataSourceOptions = resolveDataSourceOptions(options);
+    virtualizeMode = options.virtualize ?? "auto";
+    exchangeRates = resolveExchangeRates(options.exchangeRates);
+    if (options.worker && !filterWorker && customFilters.size === 0) {
+      filterWorker = createFilterWorker();
+    }
 
-        updateResults();
-        // }, 2000);
-      })
-      .catch((error) => {
-        console.error("Error fetching job data:", error);
+    if (options.jobs) {
+      setData(options.jobs).catch((error) => {
+        console.error("Error loading job data:", error);
         showError("Failed to load job listings.");
       });
+    } else {
+      loadJobs();
+    }
   };
 
+  // Answer filter queries when this script runs as the filter worker
+  if (IS_WORKER_CONTEXT) {
+    self.addEventListener("message", handleWorkerMessage);
+  }
+
   // Public API
+  // - init(options): starts the instance, see init above for the options
+  // - getFilters() / setFilters(filters): read or change the filters; filters
+  //   are merged into the current ones and validated like URL parameters
+  // - getResults(): the current results, sorted (group by group when grouped)
+  // - setData(jobs): replaces the job data without fetching, returns a promise
+  // - registerFilter(name, predicate): adds a custom filter, returns its remover
+  // - on(type, listener) / off(type, listener): API events, on() returns an
+  //   unsubscribe function. "filterchange" gets { filters }, "resultschange"
+  //   gets { results, total } and "cardrender" gets { job, element } for
+  //   every card (or table row) element created, before it is inserted
+  // - destroy(): removes the instance's listeners, observer, timers and worker
+  // The test hooks are only reached through createJobListingsTestModule:
+  // checkFilterIndexes for tests.js, and calculateJobChanges, createJobCard and
+  // insertJobCards, the incremental renderer benchmark.js times.
   return {
-    init,
+    api: {
+      init,
+      destroy,
+      getFilters,
+      setFilters,
+      getResults,
+      setData,
+      registerFilter,
+      on,
+      off,
+    },
+    testHooks: {
+      checkFilterIndexes,
+      calculateJobChanges,
+      createJobCard,
+      insertJobCards,
+    },
   };
-})();
+};
+
+// Function to create an independent instance, returns its public API
+const createJobListingsModule = () => createJobListingsInstance().api;
+
+// Function to create an instance for tests.js and benchmark.js, never the page's own one
+// Its hooks replace the instance's job data and cards, so they stay off the public API.
+const createJobListingsTestModule = () => createJobListingsInstance().testHooks;
 
-// Initialize the module
-JobListingsModule.init();
+// Default instance, driving the page's unprefixed elements
+const JobListingsModule = createJobListingsModule();
 
+// Initialize the default instance (not when this script runs as the filter
+// worker, nor on pages that only host prefixed instances)
+if (
+  typeof document !== "undefined" &&
+  document.getElementById("job-cards-container")
+) {
+  JobListingsModule.init();
+}
@@ -0,0 +1,262 @@
+// Job Listings Tests
+//
+// Checks the filter indexes against the reference filters of script.js: for
+// random filter states, the index lookups must give the same results and facet
+// counts as the plain filterJobsBy* scans they replaced. Either open tests.html
+// from the same server as index.html (the page loads data.json), or run
+// `node tests.js`, which exits with a non-zero code when a state mismatches.
+//
+// Notes:
+// - States are drawn with a seeded random generator, so every run checks the
+//   same states for a given dataset.
+// - Runs on data.json and on a synthetic feed remixed from its fields. Each
+//   dataset is checked on a module instance of its own, nothing is rendered.
+// - Node runs script.js without a document, the way the filter worker does, so
+//   the page is never initialised there.
+
+const JobListingsTests = (() => {
+  // Constants
+  const SOURCE_DATA_URL = "data.json"; // Jobs the datasets are built from
+  const MODULE_SCRIPT_FILE = "script.js"; // Module loaded by the command line run
+  const STATE_COUNT = 300; // Random filter states checked per dataset
+  const SYNTHETIC_JOB_COUNT = 2000; // Size of the remixed dataset
+  const MAX_REPORTED_FAILURES = 5; // Mismatching states shown per dataset
+  const TECHNOLOGIES_MATCH_MODES = ["all", "any", "none"];
+  const REMOTE_FILTER_MODES = ["include", "only", "exclude"];
+
+  // Function to create a seeded pseudo-random number generator (mulberry32)
+  const createRandom = (seed) => {
+    let state = seed;
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  // Function to pick a random item from an array
+  const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+  // Function to pick up to a number of distinct random items from an array
+  const pickSome = (random, items, maxCount) => {
+    const count = Math.floor(random() * (maxCount + 1));
+    const picked = new Set();
+    while (picked.size < Math.min(count, items.length)) {
+      picked.add(pick(random, items));
+    }
+    return [...picked];
+  };
+
+  // Function to get the distinct values of a job field
+  const getFieldValues = (jobs, field) => [
+    ...new Set(jobs.flatMap((job) => job[field])),
+  ];
+
+  // Function to generate a synthetic dataset by remixing the fields of the source jobs
+  const generateJobs = (sourceJobs, count) => {
+    const random = createRandom(count);
+    const technologies = getFieldValues(sourceJobs, "technologies");
+
+    return Array.from({ length: count }, (_, index) => ({
+      id: index + 1,
+      company: pick(random, getFieldValues(sourceJobs, "company")),
+      role: pick(random, getFieldValues(sourceJobs, "role")),
+      location: pick(random, getFieldValues(sourceJobs, "location")),
+      type: pick(random, getFieldValues(sourceJobs, "type")),
+      technologies: pickSome(random, technologies, 4).concat(
+        pick(random, technologies)
+      ),
+      experience: pick(random, getFieldValues(sourceJobs, "experience")),
+      ctc: 3 + Math.floor(random() * 38),
+    }));
+  };
+
+  // Function to draw a random filter state from the values of a dataset
+  // Filters are each active about half the time or less, so states range from
+  // no filter at all to combinations matching no job.
+  const generateFilterState = (random, jobs) => {
+    const ctcs = jobs.map((job) => parseFloat(job.ctc));
+    const minCTC = Math.min(...ctcs);
+    const maxCTC = Math.max(...ctcs);
+    const randomCTC = () => Math.round(minCTC + random() * (maxCTC - minCTC));
+
+    const state = {
+      role: random() < 0.3 ? pick(random, getFieldValues(jobs, "role")) : "",
+      technologies: pickSome(random, getFieldValues(jobs, "technologies"), 3),
+      technologiesMode: pick(random, TECHNOLOGIES_MATCH_MODES),
+      types: pickSome(random, getFieldValues(jobs, "type"), 2),
+      locations: pickSome(random, getFieldValues(jobs, "location"), 3),
+      remote: pick(random, REMOTE_FILTER_MODES),
+      experience:
+        random() < 0.3 ? pick(random, getFieldValues(jobs, "experience")) : "",
+      experienceYears: random() < 0.3 ? Math.floor(random() * 12) : null,
+      search:
+        random() < 0.2
+          ? pick(random, getFieldValues(jobs, "role")).split(" ")[0]
+          : "",
+    };
+    if (random() < 0.5) {
+      const [min, max] = [randomCTC(), randomCTC()].sort((a, b) => a - b);
+      state.ctc = { min, max };
+    }
+    return state;
+  };
+
+  // Function to check a dataset, returns the number of mismatching states and
+  // the first ones
+  const checkDataset = (createTestModule, jobs) => {
+    const random = createRandom(jobs.length);
+    const states = Array.from({ length: STATE_COUNT }, () =>
+      generateFilterState(random, jobs)
+    );
+
+    const failures = createTestModule()
+      .checkFilterIndexes(jobs, states)
+      .filter(
+        ({ indexed, reference }) =>
+          JSON.stringify(indexed) !== JSON.stringify(reference)
+      );
+    return { mismatchCount: failures.length, failures };
+  };
+
+  // Function to check every dataset built from the source jobs
+  const checkDatasets = (createTestModule, sourceJobs) =>
+    [
+      ["data.json", sourceJobs],
+      ["Synthetic", generateJobs(sourceJobs, SYNTHETIC_JOB_COUNT)],
+    ].map(([dataset, jobs]) => ({
+      dataset,
+      jobCount: jobs.length,
+      ...checkDataset(createTestModule, jobs),
+    }));
+
+  // Function to get the summary line of the checks
+  const getSummary = (results) => {
+    const totalMismatches = results.reduce(
+      (total, { mismatchCount }) => total + mismatchCount,
+      0
+    );
+    return totalMismatches === 0
+      ? "All filter states match."
+      : `${totalMismatches} filter states don't match.`;
+  };
+
+  // Function to add a row to the results table
+  const addResultRow = (dataset, jobCount, mismatchCount) => {
+    const row = document.createElement("tr");
+    [
+      dataset,
+      jobCount.toLocaleString(),
+      STATE_COUNT.toLocaleString(),
+      mismatchCount.toLocaleString(),
+      mismatchCount === 0 ? "Pass" : "Fail",
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    document.getElementById("test-results").appendChild(row);
+  };
+
+  // Function to list the first mismatching states of a dataset
+  const reportFailures = (dataset, failures) => {
+    const details = document.getElementById("test-failures");
+    failures.slice(0, MAX_REPORTED_FAILURES).forEach(({ state }) => {
+      details.textContent += `${dataset}: ${JSON.stringify(state)}\n`;
+    });
+    details.hidden = details.textContent === "";
+  };
+
+  // Function to show the test progress
+  const setStatus = (message) => {
+    document.getElementById("test-status").textContent = message;
+  };
+
+  // Function to run the checks on every dataset and show them on the page
+  const runTests = async () => {
+    try {
+      const response = await fetch(SOURCE_DATA_URL);
+      const sourceJobs = await response.json();
+      const results = checkDatasets(createJobListingsTestModule, sourceJobs);
+
+      results.forEach(({ dataset, jobCount, mismatchCount, failures }) => {
+        addResultRow(dataset, jobCount, mismatchCount);
+        reportFailures(dataset, failures);
+      });
+      setStatus(getSummary(results));
+    } catch (error) {
+      console.error("Tests failed to run:", error);
+      setStatus(`Tests failed to run: ${error.message}`);
+    }
+  };
+
+  // Function to load createJobListingsTestModule from script.js in Node
+  // Without a document script.js only registers the filter worker's message
+  // listener, on the stand-in self below.
+  const loadTestModuleFactory = () => {
+    const fs = require("fs");
+    const path = require("path");
+    const vm = require("vm");
+
+    const source = fs.readFileSync(
+      path.join(__dirname, MODULE_SCRIPT_FILE),
+      "utf8"
+    );
+    const context = vm.createContext({
+      console,
+      URLSearchParams,
+      setTimeout,
+      clearTimeout,
+      self: { addEventListener: () => {}, postMessage: () => {} },
+    });
+    return vm.runInContext(`${source}\ncreateJobListingsTestModule;`, context);
+  };
+
+  // Function to run the checks on every dataset from the command line
+  // Sets a non-zero exit code when a state mismatches or the checks fail to run.
+  const runFromCommandLine = () => {
+    try {
+      const fs = require("fs");
+      const path = require("path");
+
+      const sourceJobs = JSON.parse(
+        fs.readFileSync(path.join(__dirname, SOURCE_DATA_URL), "utf8")
+      );
+      const results = checkDatasets(loadTestModuleFactory(), sourceJobs);
+
+      results.forEach(({ dataset, jobCount, mismatchCount, failures }) => {
+        console.log(
+          `${mismatchCount === 0 ? "Pass" : "Fail"}: ${dataset}, ` +
+            `${jobCount} jobs, ${STATE_COUNT} states, ` +
+            `${mismatchCount} mismatches`
+        );
+        failures.slice(0, MAX_REPORTED_FAILURES).forEach(({ state }) => {
+          console.log(`  ${JSON.stringify(state)}`);
+        });
+      });
+      console.log(getSummary(results));
+
+      if (results.some(({ mismatchCount }) => mismatchCount > 0)) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error("Tests failed to run:", error);
+      process.exitCode = 1;
+    }
+  };
+
+  // Public API
+  return {
+    runTests,
+    runFromCommandLine,
+  };
+})();
+
+// Run the tests once the page has loaded, or right away with `node tests.js`
+if (typeof window === "undefined") {
+  JobListingsTests.runFromCommandLine();
+} else {
+  JobListingsTests.runTests();
+}